@@ -0,0 +1,238 @@
+/**
+ * @module AnimationClock
+ * @description Single scheduler for Shimti Multimedia's HUD animations.
+ * Modules register tick callbacks and clock timeouts instead of running their own requestAnimationFrame loops and
+ * setTimeout chains, so the whole HUD can be paused, resumed or slowed down in one place. The clock suspends itself
+ * while the page is hidden and mirrors its state on <html data-clock> so CSS animations follow it.
+ */
+
+/** @constant {Object} window.CLOCK_CONFIG - Configuration for the animation clock */
+window.CLOCK_CONFIG = {
+  MAX_FRAME_DELTA: 100, // Longest step in ms one frame may advance the clock, so stalls and resumes do not jump ahead
+};
+
+/**
+ * @namespace window.AnimationClock
+ * @description Drives registered ticks and timeouts from one requestAnimationFrame loop
+ */
+window.AnimationClock = {
+  /** @property {number} time - Clock time in ms; advances only while running, scaled by timeScale */
+  time: 0,
+  /** @property {number} timeScale - Speed of the clock (1 = real time, 0.5 = half speed) */
+  timeScale: 1,
+  /** @property {boolean} paused - Paused by pause() */
+  paused: false,
+  /** @property {boolean} suspended - Suspended because the page is hidden */
+  suspended: false,
+  ticks: [],
+  timers: [],
+  frameObservers: [],
+  nextTimerId: 1,
+  frameId: null,
+  lastFrame: null,
+
+  /**
+   * @method isRunning
+   * @returns {boolean} Whether the clock is neither paused nor suspended
+   */
+  isRunning() {
+    return !this.paused && !this.suspended;
+  },
+
+  /**
+   * @method register
+   * @description Calls a tick callback on animation frames while the clock runs.
+   * Throttled ticks count clock time, so a time scale of 0.5 also halves how often they run.
+   * @param {function(number, number): void} tick - Receives the clock ms elapsed since its last call and the clock time
+   * @param {Object} [options] - { fps } limits how often the tick runs (every frame when omitted)
+   * @returns {function(): void} Unregister function
+   */
+  register(tick, options) {
+    const entry = { tick, interval: options && options.fps ? 1000 / options.fps : 0, elapsed: 0 };
+    this.ticks.push(entry);
+    this.requestFrame();
+    return () => {
+      this.ticks = this.ticks.filter(other => other !== entry);
+    };
+  },
+
+  /**
+   * @method observeFrames
+   * @description Reports how long each frame's ticks took, for frames where at least one tick ran (quality-governor.js)
+   * @param {function(number, number): void} callback - Receives the ms spent in ticks and the frame timestamp
+   * @returns {function(): void} Unsubscribe function
+   */
+  observeFrames(callback) {
+    this.frameObservers.push(callback);
+    return () => {
+      this.frameObservers = this.frameObservers.filter(other => other !== callback);
+    };
+  },
+
+  /**
+   * @method setTimeout
+   * @description Runs a callback once after a delay measured in clock time (it waits while paused or hidden)
+   * @param {function(): void} callback - Function to run
+   * @param {number} delay - Delay in clock ms
+   * @returns {number} Timer id for clearTimeout
+   */
+  setTimeout(callback, delay) {
+    const id = this.nextTimerId++;
+    this.timers.push({ id, callback, due: this.time + Math.max(0, delay || 0) });
+    this.requestFrame();
+    return id;
+  },
+
+  /**
+   * @method clearTimeout
+   * @description Cancels a clock timeout
+   * @param {number|null} id - Timer id returned by setTimeout
+   */
+  clearTimeout(id) {
+    this.timers = this.timers.filter(timer => timer.id !== id);
+  },
+
+  /**
+   * @method pause
+   * @description Freezes every registered animation until resume()
+   */
+  pause() {
+    this.paused = true;
+    this.update();
+  },
+
+  /**
+   * @method resume
+   * @description Resumes after pause() (a hidden page stays suspended until it is visible again)
+   */
+  resume() {
+    this.paused = false;
+    this.update();
+  },
+
+  /**
+   * @method setTimeScale
+   * @description Changes the clock speed for ticks, timeouts and CSS animations
+   * @param {number} scale - Non-negative speed factor
+   */
+  setTimeScale(scale) {
+    if (typeof scale !== 'number' || !isFinite(scale) || scale < 0) {
+      console.error('Invalid time scale:', scale);
+      return;
+    }
+    this.timeScale = scale;
+    this.update();
+  },
+
+  /**
+   * @method update
+   * @description Mirrors the clock state on <html data-clock> and CSS animations, fires 'clockchange' and starts or stops the loop
+   */
+  update() {
+    const running = this.isRunning();
+    document.documentElement.dataset.clock = running ? 'running' : 'paused';
+    if (document.getAnimations) this.applyTimeScale(document.getAnimations());
+
+    if (running) {
+      this.requestFrame();
+    } else if (this.frameId !== null) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+      this.lastFrame = null;
+    }
+
+    window.dispatchEvent(new CustomEvent('clockchange', {
+      detail: { running, paused: this.paused, suspended: this.suspended, timeScale: this.timeScale }
+    }));
+  },
+
+  /**
+   * @method applyTimeScale
+   * @description Sets the clock speed as the playback rate of CSS animations and transitions
+   * @param {Array<Animation>} animations - Animations to update
+   */
+  applyTimeScale(animations) {
+    animations.forEach(animation => {
+      if (animation.playbackRate !== this.timeScale) animation.playbackRate = this.timeScale;
+    });
+  },
+
+  /**
+   * @method requestFrame
+   * @description Schedules the next frame when the clock runs and has work; otherwise lets the loop go idle
+   */
+  requestFrame() {
+    if (this.frameId !== null) return;
+    if (!this.isRunning() || (!this.ticks.length && !this.timers.length)) {
+      this.lastFrame = null;
+      return;
+    }
+    this.frameId = requestAnimationFrame(now => this.frame(now));
+  },
+
+  /**
+   * @method frame
+   * @description Advances the clock, fires due timeouts, then runs ticks whose interval has elapsed
+   * @param {number} now - Frame timestamp from requestAnimationFrame
+   */
+  frame(now) {
+    this.frameId = null;
+    if (!this.isRunning()) return;
+
+    const realDelta = this.lastFrame === null ? 0 : Math.min(now - this.lastFrame, window.CLOCK_CONFIG.MAX_FRAME_DELTA);
+    this.lastFrame = now;
+    const delta = realDelta * this.timeScale;
+    this.time += delta;
+
+    const due = this.timers.filter(timer => timer.due <= this.time);
+    if (due.length) {
+      this.timers = this.timers.filter(timer => timer.due > this.time);
+      due.forEach(timer => {
+        try {
+          timer.callback();
+        } catch (error) {
+          console.error('Clock timeout failed:', error);
+        }
+      });
+    }
+
+    const workStart = performance.now();
+    let ticked = false;
+    this.ticks.slice().forEach(entry => {
+      entry.elapsed += delta;
+      if (entry.elapsed < entry.interval) return;
+      ticked = true;
+      const step = entry.elapsed;
+      entry.elapsed = entry.interval ? entry.elapsed % entry.interval : 0;
+      try {
+        entry.tick(step, this.time);
+      } catch (error) {
+        console.error('Clock tick failed:', error);
+      }
+    });
+    if (ticked) {
+      const work = performance.now() - workStart;
+      this.frameObservers.forEach(callback => callback(work, now));
+    }
+
+    this.requestFrame();
+  }
+};
+
+// CSS animations and transitions created after the last update (a new cursor, a restarted ring rotation, a sub-ring
+// opening) start at 1x, so each one takes the clock speed as it starts, pseudo-elements included
+['animationstart', 'transitionrun'].forEach(type => {
+  document.addEventListener(type, event => {
+    if (!event.target.getAnimations) return;
+    window.AnimationClock.applyTimeScale(event.target.getAnimations({ subtree: true })
+      .filter(animation => animation.effect && animation.effect.target === event.target));
+  }, true);
+});
+
+document.addEventListener('visibilitychange', () => {
+  window.AnimationClock.suspended = document.hidden;
+  window.AnimationClock.update();
+});
+
+window.AnimationClock.suspended = !!document.hidden;
+document.documentElement.dataset.clock = window.AnimationClock.isRunning() ? 'running' : 'paused';
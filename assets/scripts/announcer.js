@@ -0,0 +1,96 @@
+/**
+ * @module Announcer
+ * @description Screen-reader announcements for Shimti Multimedia's HUD.
+ * Speaks through one polite live region (#hudAnnouncer) instead of making the ever-changing welcome panel live:
+ * messages are debounced so a sweep across the menu only announces where it stops, spaced out, and filtered by
+ * category (carousel greetings are off by default, menu previews and section changes on). Section changes are
+ * picked up from 'routechange'; other modules call Announcer.announce().
+ */
+
+/** @constant {Object} window.ANNOUNCER_CONFIG - Configuration for live announcements */
+window.ANNOUNCER_CONFIG = {
+  REGION_ID: 'hudAnnouncer', // Visually hidden role="status" element in index.html
+  DEBOUNCE: 400, // Quiet time in ms before the latest message is spoken; earlier ones in the burst are dropped
+  MIN_INTERVAL: 1500, // Shortest time in ms between two announcements
+  REPEAT_WINDOW: 5000, // The same message is not repeated within this time
+  CLEAR_DELAY: 100, // Time in ms the region stays empty before a message, so screen readers notice repeated text
+  CATEGORIES: { // Announced categories; setCategory() changes them at runtime
+    greeting: false, // Welcome carousel greetings (they change every few seconds)
+    preview: true, // Menu sector previews from hovering, tapping or spinning
+    section: true, // Section views opened and closed by the router
+  },
+};
+
+/**
+ * @namespace window.Announcer
+ * @description Debounces, spaces out and filters messages for the polite live region
+ */
+window.Announcer = {
+  region: null,
+  pending: null,
+  timerId: null,
+  lastMessage: null,
+  lastTime: -Infinity,
+
+  /**
+   * @method announce
+   * @description Queues a message; it replaces any message still waiting
+   * @param {string} message - Text to speak
+   * @param {Object} [options]
+   * @param {string} [options.category] - Key of ANNOUNCER_CONFIG.CATEGORIES; disabled categories are ignored
+   * @param {string} [options.lang] - BCP-47 code of the message, so it is pronounced in its language
+   * @returns {boolean} Whether the message was queued
+   */
+  announce(message, options = {}) {
+    if (!message || (options.category && !window.ANNOUNCER_CONFIG.CATEGORIES[options.category])) return false;
+    this.pending = { message: message.trim(), lang: options.lang || window.currentLocale };
+    clearTimeout(this.timerId);
+    const wait = Math.max(window.ANNOUNCER_CONFIG.DEBOUNCE, this.lastTime + window.ANNOUNCER_CONFIG.MIN_INTERVAL - Date.now());
+    this.timerId = setTimeout(() => this.flush(), wait);
+    return true;
+  },
+
+  /**
+   * @method flush
+   * @description Writes the waiting message into the live region
+   */
+  flush() {
+    const region = this.region || (this.region = document.getElementById(window.ANNOUNCER_CONFIG.REGION_ID));
+    const entry = this.pending;
+    this.pending = null;
+    if (!region || !entry) return;
+    const now = Date.now();
+    if (entry.message === this.lastMessage && now - this.lastTime < window.ANNOUNCER_CONFIG.REPEAT_WINDOW) return;
+
+    this.lastMessage = entry.message;
+    this.lastTime = now;
+    region.textContent = '';
+    this.timerId = setTimeout(() => {
+      region.setAttribute('lang', entry.lang);
+      region.setAttribute('dir', window.textDirection(entry.lang));
+      region.textContent = entry.message;
+    }, window.ANNOUNCER_CONFIG.CLEAR_DELAY);
+  },
+
+  /**
+   * @method setCategory
+   * @description Turns a category of announcements on or off
+   * @param {string} category - e.g. 'greeting'
+   * @param {boolean} enabled - Whether to announce it
+   */
+  setCategory(category, enabled) {
+    if (!(category in window.ANNOUNCER_CONFIG.CATEGORIES)) {
+      console.error('Unknown announcement category:', category);
+      return;
+    }
+    window.ANNOUNCER_CONFIG.CATEGORIES[category] = !!enabled;
+  },
+};
+
+// Section views: announce the opened section's heading, or the menu when returning home (not the first render)
+window.addEventListener('routechange', event => {
+  const { view, previousRoute } = event.detail;
+  if (previousRoute === null) return;
+  const title = view && view.querySelector('h1, h2');
+  window.Announcer.announce(view ? (title ? title.textContent : event.detail.route) : window.t('menu'), { category: 'section' });
+});
@@ -1,215 +1,258 @@
 /**
  * @module ConnectionRings
- * @description Renders top and bottom connection lines with connection points for Shimti Multimedia.
+ * @description Renders the HUD's connection lines, with a connection point at either end, for Shimti Multimedia.
+ * connect() wires an anchor on one element (an edge, the centre, a fraction of its box or a point on its inscribed
+ * circle) to an anchor on another through a straight, orthogonal or elbow route, and keeps it in place on every
+ * layout change. The built-in panel-to-wheel lines are declared in CONNECTION_CONFIG.CONNECTORS.
  */
 
 /** @constant {string} window.MENU_SVG_NS - SVG namespace for connection elements */
 window.MENU_SVG_NS = 'http://www.w3.org/2000/svg';
 
+/** @constant {Object} window.CONNECTION_CONFIG - Configuration for connection lines and points */
+window.CONNECTION_CONFIG = {
+  LINE_STROKE: 'rgba(var(--hud-line-rgb), 0.3)',
+  LINE_WIDTH: 2,
+  POINT_STROKE: 'rgb(var(--hud-line-rgb))',
+  POINT_RADIUS: 5,
+  ROUTE: 'straight', // Route of connectors that do not name one (see CONNECTOR_ROUTES)
+  // Connectors drawn by initConnectionLines; from/to are LAYOUT_CONFIG.ANCHORS names or element ids
+  CONNECTORS: [
+    // Title panel, just outside its 1px border, across and down to the top of the wheel
+    { from: 'topPanel', fromAnchor: { edge: 'right', dx: 1 }, to: 'menu', toAnchor: { angle: 270, radius: 0.889 }, route: 'orthogonal' },
+    // Bottom of the wheel straight to the bottom panel
+    { from: 'menu', fromAnchor: { angle: 90, radius: 0.905 }, to: 'bottomPanel', toAnchor: 'top' },
+  ],
+};
+
 /**
- * @function window.initConnectionLines
- * @description Initializes top and bottom connection lines with connection points in full-screen SVG
+ * @typedef {string|Object} ConnectorAnchor
+ * A point on an element's box. A string names an edge midpoint, a corner or the centre ('top', 'right', 'bottom',
+ * 'left', 'top-left', 'top-right', 'bottom-left', 'bottom-right', 'center'). An object gives either an edge or corner
+ * ({edge}), fractions of the box ({x, y}, 0.5 each when omitted) or a point on the ellipse inscribed in the box
+ * ({angle} in degrees clockwise from the right, {radius} as a fraction of the half-size, 1 when omitted), plus optional
+ * pixel offsets {dx, dy}.
  */
-window.initConnectionLines = function() {
-  var svgElement = document.getElementById('connectionSvg');
-  if (!svgElement) {
-    console.error('Connection SVG not found');
-    return;
-  }
 
-  // Set dynamic viewBox to match viewport
-  svgElement.setAttribute('viewBox', `0 0 ${window.innerWidth} ${window.innerHeight}`);
+/**
+ * @typedef {Object} ConnectorStyle
+ * @property {string} [stroke] - Line stroke (CONNECTION_CONFIG.LINE_STROKE when omitted)
+ * @property {number} [width] - Line width (CONNECTION_CONFIG.LINE_WIDTH)
+ * @property {string} [pointStroke] - Connection point stroke (CONNECTION_CONFIG.POINT_STROKE)
+ * @property {number} [pointRadius] - Connection point radius, 0 for none (CONNECTION_CONFIG.POINT_RADIUS)
+ */
 
-  var connectionGroup = document.createElementNS(window.MENU_SVG_NS, 'g');
-  connectionGroup.setAttribute('aria-hidden', 'true');
+/** @constant {Object<string, {x: number, y: number}>} window.ANCHOR_POSITIONS - Named anchors as fractions of the box */
+window.ANCHOR_POSITIONS = {
+  center: { x: 0.5, y: 0.5 },
+  top: { x: 0.5, y: 0 },
+  right: { x: 1, y: 0.5 },
+  bottom: { x: 0.5, y: 1 },
+  left: { x: 0, y: 0.5 },
+  'top-left': { x: 0, y: 0 },
+  'top-right': { x: 1, y: 0 },
+  'bottom-left': { x: 0, y: 1 },
+  'bottom-right': { x: 1, y: 1 },
+};
 
-  // Top Connection Line (from shimtiPanel right edge to radialMenu)
-  var titleRect = document.getElementById('shimtiPanel')?.getBoundingClientRect();
-  var wheelRect = document.getElementById('radialMenu')?.getBoundingClientRect();
-  if (titleRect && wheelRect) {
-    const borderWidth = 1; // From index.html: #shimtiPanel border: 1px
-    const startPoint = {
-      x: titleRect.right + borderWidth, // Right edge including border
-      y: titleRect.top + titleRect.height / 2 // Vertical center
-    };
-    const endPoint = {
-      x: wheelRect.left + wheelRect.width / 2,
-      y: wheelRect.top + wheelRect.height / 18 // ~5.56% from top
+/**
+ * @constant {Object<string, function({x: number, y: number}, {x: number, y: number}): Array<{x: number, y: number}>>}
+ * window.CONNECTOR_ROUTES - Route builders by name; each turns the two end points into the line's vertices
+ */
+window.CONNECTOR_ROUTES = {
+  straight: (from, to) => [from, to],
+
+  // Across, then up or down into the target
+  orthogonal: (from, to) => [from, { x: to.x, y: from.y }, to],
+
+  // Along the longer axis, then a 45° run into the target
+  elbow(from, to) {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const bend = Math.abs(dx) >= Math.abs(dy)
+      ? { x: to.x - Math.sign(dx) * Math.abs(dy), y: from.y }
+      : { x: from.x, y: to.y - Math.sign(dy) * Math.abs(dx) };
+    return [from, bend, to];
+  },
+};
+
+/**
+ * @function window.resolveAnchor
+ * @description Turns an anchor into a point on a measured box
+ * @param {AnchorRect} rect - Element box (see HudLayout.measureElement)
+ * @param {ConnectorAnchor} anchor - Anchor on that box
+ * @returns {{x: number, y: number}|null} Viewport point, or null for an unknown named anchor
+ */
+window.resolveAnchor = function(rect, anchor) {
+  const spec = typeof anchor === 'string' ? { edge: anchor } : (anchor || {});
+  let point;
+  if (spec.angle !== undefined) {
+    const radians = spec.angle * Math.PI / 180;
+    const radius = spec.radius === undefined ? 1 : spec.radius;
+    point = {
+      x: rect.centerX + Math.cos(radians) * radius * rect.width / 2,
+      y: rect.centerY + Math.sin(radians) * radius * rect.height / 2
     };
-    const bendX = startPoint.x + (endPoint.x - startPoint.x);
-    const bendY = startPoint.y;
-
-    const path = document.createElementNS(window.MENU_SVG_NS, 'path');
-    path.setAttribute('d', `M ${startPoint.x} ${startPoint.y} L ${bendX} ${bendY} L ${endPoint.x} ${endPoint.y}`);
-    path.setAttribute('fill', 'none');
-    path.setAttribute('stroke', 'rgba(255, 255, 255, 0.3)');
-    path.setAttribute('stroke-width', '2');
-    path.setAttribute('class', 'connection-line');
-    connectionGroup.appendChild(path);
-
-    const startCircle = document.createElementNS(window.MENU_SVG_NS, 'circle');
-    startCircle.setAttribute('cx', startPoint.x);
-    startCircle.setAttribute('cy', startPoint.y);
-    startCircle.setAttribute('r', '5');
-    startCircle.setAttribute('fill', 'none');
-    startCircle.setAttribute('stroke', '#ffffff');
-    startCircle.setAttribute('stroke-width', '1');
-    startCircle.setAttribute('class', 'connection-point');
-    connectionGroup.appendChild(startCircle);
-
-    const endCircle = document.createElementNS(window.MENU_SVG_NS, 'circle');
-    endCircle.setAttribute('cx', endPoint.x);
-    endCircle.setAttribute('cy', endPoint.y);
-    endCircle.setAttribute('r', '5');
-    endCircle.setAttribute('fill', 'none');
-    endCircle.setAttribute('stroke', '#ffffff');
-    endCircle.setAttribute('stroke-width', '1');
-    endCircle.setAttribute('class', 'connection-point');
-    connectionGroup.appendChild(endCircle);
   } else {
-    console.error('Failed to create top connection line: Missing DOM elements', { titleRect, wheelRect });
+    const position = spec.edge ? window.ANCHOR_POSITIONS[spec.edge] : {
+      x: spec.x === undefined ? 0.5 : spec.x,
+      y: spec.y === undefined ? 0.5 : spec.y
+    };
+    if (!position) return null;
+    point = { x: rect.left + position.x * rect.width, y: rect.top + position.y * rect.height };
   }
+  return { x: point.x + (spec.dx || 0), y: point.y + (spec.dy || 0) };
+};
 
-  // Bottom Connection Line (from radialMenu to shimtiPanelBottom)
-  var bottomPanelRect = document.getElementById('shimtiPanelBottom')?.getBoundingClientRect();
-  if (wheelRect && bottomPanelRect) {
-    const startPoint = {
-      x: wheelRect.left + wheelRect.width / 2,
-      y: wheelRect.top + wheelRect.height / 1.05 // ~95.24% from top
-    };
-    const endPoint = {
-      x: bottomPanelRect.left + bottomPanelRect.width / 2,
-      y: bottomPanelRect.top
-    };
+/** @type {Array<Object>} Live connectors, redrawn together on every layout change */
+window.activeConnectors = [];
 
-    const path = document.createElementNS(window.MENU_SVG_NS, 'path');
-    path.setAttribute('d', `M ${startPoint.x} ${startPoint.y} L ${endPoint.x} ${endPoint.y}`);
-    path.setAttribute('fill', 'none');
-    path.setAttribute('stroke', 'rgba(255, 255, 255, 0.3)');
-    path.setAttribute('stroke-width', '2');
-    path.setAttribute('class', 'connection-line');
-    connectionGroup.appendChild(path);
-
-    const startCircle = document.createElementNS(window.MENU_SVG_NS, 'circle');
-    startCircle.setAttribute('cx', startPoint.x);
-    startCircle.setAttribute('cy', startPoint.y);
-    startCircle.setAttribute('r', '5');
-    startCircle.setAttribute('fill', 'none');
-    startCircle.setAttribute('stroke', '#ffffff');
-    startCircle.setAttribute('stroke-width', '1');
-    startCircle.setAttribute('class', 'connection-point');
-    connectionGroup.appendChild(startCircle);
-
-    const endCircle = document.createElementNS(window.MENU_SVG_NS, 'circle');
-    endCircle.setAttribute('cx', endPoint.x);
-    endCircle.setAttribute('cy', endPoint.y);
-    endCircle.setAttribute('r', '5');
-    endCircle.setAttribute('fill', 'none');
-    endCircle.setAttribute('stroke', '#ffffff');
-    endCircle.setAttribute('stroke-width', '1');
-    endCircle.setAttribute('class', 'connection-point');
-    connectionGroup.appendChild(endCircle);
-  } else {
-    console.error('Failed to create bottom connection line: Missing DOM elements', { wheelRect, bottomPanelRect });
+/**
+ * @function window.connectionLayer
+ * @description Returns the group connectors draw into, creating it in #connectionSvg and starting the shared layout
+ * subscription on first use
+ * @returns {SVGGElement|null} Connector group, or null when the SVG is missing
+ */
+window.connectionLayer = function() {
+  if (window.connectionLayer.group) return window.connectionLayer.group;
+  const svgElement = document.getElementById('connectionSvg');
+  if (!svgElement) {
+    console.error('Connection SVG not found');
+    return null;
   }
 
-  svgElement.appendChild(connectionGroup);
-
-  // Handle resize to update viewBox and redraw lines
-  window.addEventListener('resize', function() {
-    svgElement.setAttribute('viewBox', `0 0 ${window.innerWidth} ${window.innerHeight}`);
-    connectionGroup.innerHTML = ''; // Clear existing lines
-    titleRect = document.getElementById('shimtiPanel')?.getBoundingClientRect();
-    wheelRect = document.getElementById('radialMenu')?.getBoundingClientRect();
-    if (titleRect && wheelRect) {
-      const borderWidth = 1; // From index.html: #shimtiPanel border: 1px
-      const startPoint = {
-        x: titleRect.right + borderWidth,
-        y: titleRect.top + titleRect.height / 2
-      };
-      const endPoint = {
-        x: wheelRect.left + wheelRect.width / 2,
-        y: wheelRect.top + wheelRect.height / 18
-      };
-      const bendX = startPoint.x + (endPoint.x - startPoint.x);
-      const bendY = startPoint.y;
-
-      const path = document.createElementNS(window.MENU_SVG_NS, 'path');
-      path.setAttribute('d', `M ${startPoint.x} ${startPoint.y} L ${bendX} ${bendY} L ${endPoint.x} ${endPoint.y}`);
-      path.setAttribute('fill', 'none');
-      path.setAttribute('stroke', 'rgba(255, 255, 255, 0.3)');
-      path.setAttribute('stroke-width', '2');
-      path.setAttribute('class', 'connection-line');
-      connectionGroup.appendChild(path);
-
-      const startCircle = document.createElementNS(window.MENU_SVG_NS, 'circle');
-      startCircle.setAttribute('cx', startPoint.x);
-      startCircle.setAttribute('cy', startPoint.y);
-      startCircle.setAttribute('r', '5');
-      startCircle.setAttribute('fill', 'none');
-      startCircle.setAttribute('stroke', '#ffffff');
-      startCircle.setAttribute('stroke-width', '1');
-      startCircle.setAttribute('class', 'connection-point');
-      connectionGroup.appendChild(startCircle);
-
-      const endCircle = document.createElementNS(window.MENU_SVG_NS, 'circle');
-      endCircle.setAttribute('cx', endPoint.x);
-      endCircle.setAttribute('cy', endPoint.y);
-      endCircle.setAttribute('r', '5');
-      endCircle.setAttribute('fill', 'none');
-      endCircle.setAttribute('stroke', '#ffffff');
-      endCircle.setAttribute('stroke-width', '1');
-      endCircle.setAttribute('class', 'connection-point');
-      connectionGroup.appendChild(endCircle);
+  const group = document.createElementNS(window.MENU_SVG_NS, 'g');
+  group.setAttribute('aria-hidden', 'true');
+  svgElement.appendChild(group);
+  window.connectionLayer.group = group;
+
+  // Every connector's boxes are read before any line moves, so one layout change costs one reflow
+  window.HudLayout.subscribe(function(layout) {
+    if (!layout) return;
+    svgElement.setAttribute('viewBox', `0 0 ${layout.viewport.width} ${layout.viewport.height}`);
+    window.activeConnectors
+      .map(connector => ({ connector, vertices: connector.locate(layout) }))
+      .forEach(({ connector, vertices }) => connector.draw(vertices));
+  });
+  return group;
+};
+
+/**
+ * @function window.connect
+ * @description Draws a connection line between anchors on two elements and keeps it attached as the layout changes
+ * @param {Element|string} fromElement - Start element, LAYOUT_CONFIG.ANCHORS name or element id
+ * @param {ConnectorAnchor} fromAnchor - Anchor on the start element
+ * @param {Element|string} toElement - End element, anchor name or element id
+ * @param {ConnectorAnchor} toAnchor - Anchor on the end element
+ * @param {Object} [options]
+ * @param {string} [options.route] - Key of CONNECTOR_ROUTES (CONNECTION_CONFIG.ROUTE when omitted, 'straight' when unknown)
+ * @param {ConnectorStyle} [options.style] - Overrides of the configured stroke, width and points
+ * @returns {function(): void} Removes the connector
+ */
+window.connect = function(fromElement, fromAnchor, toElement, toAnchor, options = {}) {
+  const group = window.connectionLayer();
+  if (!group) return () => {};
+
+  let routeName = options.route || window.CONNECTION_CONFIG.ROUTE;
+  if (!window.CONNECTOR_ROUTES[routeName]) {
+    console.warn('Unknown connector route, drawing it straight:', routeName);
+    routeName = 'straight';
+  }
+  const style = Object.assign({
+    stroke: window.CONNECTION_CONFIG.LINE_STROKE,
+    width: window.CONNECTION_CONFIG.LINE_WIDTH,
+    pointStroke: window.CONNECTION_CONFIG.POINT_STROKE,
+    pointRadius: window.CONNECTION_CONFIG.POINT_RADIUS
+  }, options.style);
+
+  // Named anchors come measured with the layout; other elements are measured here (ids are looked up on every pass,
+  // so a panel added later still connects) and watched for resizes
+  const ends = [fromElement, toElement].map(target => {
+    if (typeof target === 'string' && window.LAYOUT_CONFIG.ANCHORS[target]) {
+      return { label: target, measure: layout => layout.anchors[target] };
     }
+    const lookup = typeof target === 'string' ? () => document.getElementById(target) : () => (target.isConnected ? target : null);
+    window.HudLayout.watch(lookup());
+    return {
+      label: typeof target === 'string' ? `#${target}` : `#${target.id}`,
+      measure: () => window.HudLayout.measureElement(lookup())
+    };
+  });
+
+  const path = document.createElementNS(window.MENU_SVG_NS, 'path');
+  path.setAttribute('fill', 'none');
+  path.style.stroke = style.stroke;
+  path.setAttribute('stroke-width', style.width);
+  path.setAttribute('class', 'connection-line');
+  group.appendChild(path);
+
+  const points = style.pointRadius > 0 ? [0, 1].map(() => {
+    const circle = document.createElementNS(window.MENU_SVG_NS, 'circle');
+    circle.setAttribute('r', style.pointRadius);
+    circle.setAttribute('fill', 'none');
+    circle.style.stroke = style.pointStroke;
+    circle.setAttribute('stroke-width', '1');
+    circle.setAttribute('class', 'connection-point');
+    group.appendChild(circle);
+    return circle;
+  }) : [];
 
-    bottomPanelRect = document.getElementById('shimtiPanelBottom')?.getBoundingClientRect();
-    if (wheelRect && bottomPanelRect) {
-      const startPoint = {
-        x: wheelRect.left + wheelRect.width / 2,
-        y: wheelRect.top + wheelRect.height / 1.05
-      };
-      const endPoint = {
-        x: bottomPanelRect.left + bottomPanelRect.width / 2,
-        y: bottomPanelRect.top
-      };
-
-      const path = document.createElementNS(window.MENU_SVG_NS, 'path');
-      path.setAttribute('d', `M ${startPoint.x} ${startPoint.y} L ${endPoint.x} ${endPoint.y}`);
-      path.setAttribute('fill', 'none');
-      path.setAttribute('stroke', 'rgba(255, 255, 255, 0.3)');
-      path.setAttribute('stroke-width', '2');
-      path.setAttribute('class', 'connection-line');
-      connectionGroup.appendChild(path);
-
-      const startCircle = document.createElementNS(window.MENU_SVG_NS, 'circle');
-      startCircle.setAttribute('cx', startPoint.x);
-      startCircle.setAttribute('cy', startPoint.y);
-      startCircle.setAttribute('r', '5');
-      startCircle.setAttribute('fill', 'none');
-      startCircle.setAttribute('stroke', '#ffffff');
-      startCircle.setAttribute('stroke-width', '1');
-      startCircle.setAttribute('class', 'connection-point');
-      connectionGroup.appendChild(startCircle);
-
-      const endCircle = document.createElementNS(window.MENU_SVG_NS, 'circle');
-      endCircle.setAttribute('cx', endPoint.x);
-      endCircle.setAttribute('cy', endPoint.y);
-      endCircle.setAttribute('r', '5');
-      endCircle.setAttribute('fill', 'none');
-      endCircle.setAttribute('stroke', '#ffffff');
-      endCircle.setAttribute('stroke-width', '1');
-      endCircle.setAttribute('class', 'connection-point');
-      connectionGroup.appendChild(endCircle);
+  let reportedMissing = false;
+  const connector = {
+    locate(layout) {
+      const rects = ends.map(end => end.measure(layout));
+      const anchors = rects.map((rect, i) => rect && window.resolveAnchor(rect, i ? toAnchor : fromAnchor));
+      if (anchors[0] && anchors[1]) {
+        reportedMissing = false;
+        return window.CONNECTOR_ROUTES[routeName](anchors[0], anchors[1]);
+      }
+      if (!reportedMissing) {
+        reportedMissing = true;
+        console.error(`Failed to position connection line ${ends[0].label} → ${ends[1].label}: missing element or unknown anchor`, { rects, fromAnchor, toAnchor });
+      }
+      return null;
+    },
+
+    draw(vertices) {
+      const visible = !!vertices;
+      path.style.display = visible ? '' : 'none';
+      points.forEach(circle => { circle.style.display = visible ? '' : 'none'; });
+      if (!visible) return;
+      path.setAttribute('d', vertices.map((vertex, i) => `${i ? 'L' : 'M'} ${vertex.x} ${vertex.y}`).join(' '));
+      [vertices[0], vertices[vertices.length - 1]].forEach((end, i) => {
+        if (!points[i]) return;
+        points[i].setAttribute('cx', end.x);
+        points[i].setAttribute('cy', end.y);
+      });
     }
+  };
 
-    svgElement.appendChild(connectionGroup);
-  });
+  window.activeConnectors.push(connector);
+  if (window.HudLayout.current) connector.draw(connector.locate(window.HudLayout.current));
+
+  return () => {
+    window.activeConnectors = window.activeConnectors.filter(active => active !== connector);
+    path.remove();
+    points.forEach(circle => circle.remove());
+  };
+};
 
+/**
+ * @function window.initConnectionLines
+ * @description Draws the connectors declared in CONNECTION_CONFIG.CONNECTORS in the full-screen connection SVG
+ */
+window.initConnectionLines = function() {
+  if (!window.connectionLayer()) return;
+  window.CONNECTION_CONFIG.CONNECTORS.forEach(function(connector) {
+    window.connect(connector.from, connector.fromAnchor, connector.to, connector.toAnchor, {
+      route: connector.route,
+      style: connector.style
+    });
+  });
   console.log('Connection lines initialized');
 };
 
 document.addEventListener('DOMContentLoaded', function() {
   console.log('DOMContentLoaded: Starting connection lines initialization');
-  window.initConnectionLines();
+  window.sceneReady.then(function() { window.initConnectionLines(); });
 });
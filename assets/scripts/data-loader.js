@@ -0,0 +1,235 @@
+/**
+ * @module DataLoader
+ * @description Loads Shimti Multimedia's data files (JSON or XML) for modules that ship a built-in fallback.
+ * Fetches with a timeout, parses by extension or content type, validates against a schema with validateScene and
+ * reports each problem with its file, line and attribute. Results are cached in memory and in sessionStorage; a
+ * stored result is re-validated and only reused while the server reports the file unchanged.
+ */
+
+/** @constant {Object} window.DATA_CONFIG - Configuration for data file loading */
+window.DATA_CONFIG = {
+  TIMEOUT: 5000, // Ms before a request is aborted and the caller falls back
+  CACHE_PREFIX: 'shimti-data:', // sessionStorage key prefix, followed by the URL
+  SESSION_CACHE: true, // Keep validated data in sessionStorage with the file's ETag/Last-Modified, reused while unchanged
+};
+
+/** @type {Map<string, Promise<Object>>} In-memory cache of loadData results by URL */
+window.dataCache = new Map();
+
+/**
+ * @function window.fetchText
+ * @description Fetches a file as text, aborting after a timeout
+ * @param {string} url - File URL
+ * @param {number} [timeout] - Ms to wait (DATA_CONFIG.TIMEOUT when omitted)
+ * @param {Object<string, string>} [headers] - Request headers, e.g. If-None-Match for a conditional request
+ * @returns {Promise<{text: string, contentType: string, etag: string, lastModified: string, notModified: boolean}>}
+ * The file and its validators (notModified, with empty text, on a 304 answer); rejects on HTTP errors, network errors
+ * and timeouts
+ */
+window.fetchText = function(url, timeout, headers) {
+  const limit = timeout || window.DATA_CONFIG.TIMEOUT;
+  const controller = window.AbortController ? new AbortController() : null;
+  let timeoutId = null;
+  const timedOut = new Promise((resolve, reject) => {
+    timeoutId = setTimeout(() => {
+      if (controller) controller.abort();
+      reject(new Error(`timed out after ${limit}ms`));
+    }, limit);
+  });
+  const init = {};
+  if (controller) init.signal = controller.signal;
+  if (headers) init.headers = headers;
+  const request = fetch(url, init)
+    .then(response => {
+      const result = {
+        contentType: response.headers.get('Content-Type') || '',
+        etag: response.headers.get('ETag') || '',
+        lastModified: response.headers.get('Last-Modified') || '',
+        notModified: response.status === 304
+      };
+      if (result.notModified) return Object.assign(result, { text: '' });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.text().then(text => Object.assign(result, { text }));
+    });
+  return Promise.race([request, timedOut]).finally(() => clearTimeout(timeoutId));
+};
+
+/**
+ * @function window.lineAt
+ * @description Tells the 1-based line of a character offset in a text
+ * @param {string} text - Source text
+ * @param {number} offset - Character offset
+ * @returns {number} Line number
+ */
+window.lineAt = function(text, offset) {
+  return text.slice(0, offset).split('\n').length;
+};
+
+/**
+ * @function window.xmlElementLines
+ * @description Maps every element of a parsed XML document to the line of its start tag in the source
+ * @param {string} text - XML source
+ * @param {Document} xmlDoc - The same source, parsed
+ * @returns {Map<Element, number>} Line numbers by element
+ */
+window.xmlElementLines = function(text, xmlDoc) {
+  // Comments, CDATA sections, processing instructions and the doctype are blanked out (newlines kept), so the start
+  // tags left are exactly the elements, in document order
+  const source = text.replace(/<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>/g, match => match.replace(/[^\n]/g, ' '));
+  const lines = [];
+  const startTag = /<[A-Za-z_]|\n/g;
+  let line = 1;
+  let match;
+  while ((match = startTag.exec(source))) {
+    if (match[0] === '\n') {
+      line++;
+    } else {
+      lines.push(line);
+    }
+  }
+  const map = new Map();
+  Array.prototype.forEach.call(xmlDoc.getElementsByTagName('*'), (element, i) => map.set(element, lines[i]));
+  return map;
+};
+
+/**
+ * @typedef {Object} XmlConversionContext
+ * @property {function(string, Element, string=): void} track - Records where a value came from: its path relative to
+ * the document root ('' for the root, e.g. 'languages[2].weight'), the element and, for attributes, the attribute name
+ * @property {function(Element, string|null, string): void} report - Adds a problem found while converting
+ */
+
+/**
+ * @function window.parseData
+ * @description Parses a data file, converting XML to the JSON shape, and validates it
+ * @param {string} text - File contents
+ * @param {string} url - File URL, for the format and messages
+ * @param {string} contentType - Response content type
+ * @param {Object} options - See loadData
+ * @returns {{data: *, errors: Array<string>}} Valid data and the problems found
+ * @throws {Error} When the file does not parse or nothing in it is valid
+ */
+window.parseData = function(text, url, contentType, options) {
+  const file = url.split('?')[0].split('/').pop();
+  const errors = [];
+  const locations = {};
+  const where = location => (location && location.line ? `${file} line ${location.line}` : file) +
+    (location && location.attribute ? `, attribute "${location.attribute}"` : '');
+  let raw;
+
+  if (/\.xml$/.test(url.split('?')[0]) || /xml/.test(contentType)) {
+    const xmlDoc = new DOMParser().parseFromString(text, 'application/xml');
+    const parserError = xmlDoc.getElementsByTagName('parsererror')[0];
+    if (parserError) throw new Error(`${file}: ${parserError.textContent.trim().split('\n')[0]}`);
+    const lines = window.xmlElementLines(text, xmlDoc);
+    const context = {
+      track(path, element, attribute) {
+        locations[path] = { line: lines.get(element), attribute };
+      },
+      report(element, attribute, message) {
+        errors.push(`${where({ line: lines.get(element), attribute })}: ${message}`);
+      },
+    };
+    raw = options.fromXml ? options.fromXml(xmlDoc, context) : window.sceneFromXml(xmlDoc.documentElement, options.schema);
+  } else {
+    try {
+      raw = JSON.parse(text);
+    } catch (error) {
+      const position = /position (\d+)/.exec(error.message);
+      throw new Error(`${file}${position && !/line/.test(error.message) ? ` line ${window.lineAt(text, Number(position[1]))}` : ''}: ${error.message}`);
+    }
+  }
+
+  // Validation messages start with the value's path from the root ('languages[2].weight'); the closest tracked path
+  // gives the line and attribute
+  const parentPath = path => path.replace(/(\.?[^.[\]]+|\[\d+\])$/, '');
+  const validationErrors = [];
+  const data = window.validateScene(raw, options.schema, '', validationErrors);
+  validationErrors.forEach(error => {
+    const split = error.indexOf(': ');
+    const path = error.slice(0, split).replace(/^\./, '');
+    let key = path;
+    while (key && !locations[key]) key = parentPath(key) === key ? '' : parentPath(key);
+    errors.push(`${where(locations[key])}${path ? ` (${path})` : ''}: ${error.slice(split + 2)}`);
+  });
+  if (data === undefined) throw new Error(`${file} has no valid data: ${errors.join('; ')}`);
+  return { data, errors };
+};
+
+/**
+ * @function window.restoreData
+ * @description Checks a sessionStorage entry written by loadData before it is reused
+ * @param {*} entry - Parsed entry
+ * @param {Object} schema - validateScene schema the data must match
+ * @returns {{data: *, errors: Array<string>, etag: string, lastModified: string}|null} The entry with its data
+ * re-validated, or null when it is missing, has no file validators or no longer matches the schema
+ */
+window.restoreData = function(entry, schema) {
+  if (!entry || typeof entry !== 'object' || !Array.isArray(entry.errors)) return null;
+  const etag = typeof entry.etag === 'string' ? entry.etag : '';
+  const lastModified = typeof entry.lastModified === 'string' ? entry.lastModified : '';
+  if (!etag && !lastModified) return null;
+  const validationErrors = [];
+  const data = window.validateScene(entry.data, schema, '', validationErrors);
+  if (data === undefined || validationErrors.length) return null;
+  return { data, errors: entry.errors.filter(error => typeof error === 'string'), etag, lastModified };
+};
+
+/**
+ * @function window.loadData
+ * @description Loads, parses and validates a JSON or XML data file; later loads in the visit reuse the result while
+ * the file is unchanged
+ * @param {string} url - File URL; '.xml' files (or XML content types) are parsed as XML, others as JSON
+ * @param {Object} options
+ * @param {Object} options.schema - validateScene schema the data must match
+ * @param {function(Document, XmlConversionContext): *} [options.fromXml] - Converts an XML document to the JSON shape
+ * (sceneFromXml guided by the schema when omitted)
+ * @param {number} [options.timeout] - Request timeout in ms
+ * @param {boolean} [options.cache] - Use the in-memory and session caches (default true)
+ * @returns {Promise<{data: *, errors: Array<string>}>} Valid data and the problems skipped; rejects when the file is
+ * missing, slow, malformed or has nothing valid, so the caller can use its fallback
+ */
+window.loadData = function(url, options) {
+  const useCache = options.cache !== false;
+  if (useCache && window.dataCache.has(url)) return window.dataCache.get(url);
+
+  const storageKey = window.DATA_CONFIG.CACHE_PREFIX + url;
+  const useSession = useCache && window.DATA_CONFIG.SESSION_CACHE;
+  let stored = null;
+  if (useSession) {
+    try {
+      stored = window.restoreData(JSON.parse(sessionStorage.getItem(storageKey)), options.schema);
+    } catch (error) {
+      stored = null; // Unavailable or corrupt storage just means fetching again
+    }
+  }
+
+  // A stored result carries the validators of the file it came from; the server answers 304 while the file is
+  // unchanged, so an edited file replaces it on the next load
+  const headers = {};
+  if (stored && stored.etag) headers['If-None-Match'] = stored.etag;
+  if (stored && stored.lastModified) headers['If-Modified-Since'] = stored.lastModified;
+
+  const result = window.fetchText(url, options.timeout, stored ? headers : undefined).then(response => {
+    if (response.notModified && stored) return { data: stored.data, errors: stored.errors };
+    const parsed = window.parseData(response.text, url, response.contentType, options);
+    if (useSession) {
+      try {
+        if (response.etag || response.lastModified) {
+          sessionStorage.setItem(storageKey, JSON.stringify(Object.assign({ etag: response.etag, lastModified: response.lastModified }, parsed)));
+        } else {
+          sessionStorage.removeItem(storageKey); // Without validators a stored copy could never be checked
+        }
+      } catch (error) {
+        // Without storage the in-memory cache still applies
+      }
+    }
+    return parsed;
+  });
+
+  if (useCache) {
+    window.dataCache.set(url, result);
+    result.catch(() => window.dataCache.delete(url)); // Failures are retried on the next call
+  }
+  return result;
+};
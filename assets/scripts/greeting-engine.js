@@ -0,0 +1,164 @@
+/**
+ * @module GreetingEngine
+ * @description Picks the welcome carousel's greetings for Shimti Multimedia.
+ * Starts with the greeting in the visitor's language (navigator.languages), then steps through languages.xml in file
+ * order or shuffles by weight without immediate repeats. Entries can be shown once, excluded, held for their own
+ * duration and swap in time-of-day variants ("Good morning").
+ */
+
+/** @constant {Object} window.GREETING_CONFIG - Configuration for greeting order and timing */
+window.GREETING_CONFIG = {
+  ORDER: 'sequential', // 'sequential' (file order) or 'shuffle' (weighted); languages.xml can override with <languages order="...">
+  VISITOR_LANGUAGE_FIRST: true, // Open with the greeting that best matches navigator.languages
+  DEFAULT_WEIGHT: 1, // Shuffle weight of entries without a weight attribute
+  MIN_DURATION: 1000, // Shorter per-entry durations fall back to WELCOME_INTERVAL (fades take 500ms each way)
+};
+
+/**
+ * @typedef {Object} GreetingVariant
+ * @property {number} from - Start of the time window, in minutes after midnight (local time)
+ * @property {number} to - End of the window (exclusive); windows with to < from wrap past midnight
+ * @property {string} text - Greeting shown inside the window
+ */
+
+/**
+ * @typedef {Object} GreetingEntry
+ * @property {string} code - BCP-47 code
+ * @property {string} text - Greeting
+ * @property {string} [dir] - Text direction
+ * @property {boolean} [once] - Shown at most once per visit
+ * @property {boolean} [exclude] - Never shown
+ * @property {number} [weight] - Shuffle weight (0 excludes the entry from shuffling)
+ * @property {number} [duration] - Milliseconds the greeting stays up (WELCOME_INTERVAL when omitted)
+ * @property {Array<GreetingVariant>} [variants] - Time-of-day variants
+ * @property {string} [effect] - Text transition the greeting comes in with (see text-transitions.js)
+ */
+
+/**
+ * @class GreetingEngine
+ * @description Chooses which greeting comes next and how long it stays up
+ */
+window.GreetingEngine = class {
+  /**
+   * @param {Array<GreetingEntry>} entries - Greetings in file order
+   * @param {Object} [options]
+   * @param {string} [options.order] - 'sequential' or 'shuffle' (GREETING_CONFIG.ORDER when omitted)
+   * @param {Function} [options.random] - Random source returning [0, 1), for reproducible orders
+   */
+  constructor(entries, options = {}) {
+    this.entries = entries.filter(entry => !entry.exclude);
+    if (!this.entries.length) this.entries = entries.slice(0, 1); // Keep something to show when every entry is excluded
+    this.order = options.order === 'shuffle' || options.order === 'sequential' ? options.order : window.GREETING_CONFIG.ORDER;
+    this.random = options.random || Math.random;
+    this.shown = new Set(); // Show-once entries already used up
+    this.current = null;
+  }
+
+  /**
+   * @method first
+   * @description Picks the opening greeting: the best match for the visitor's languages, else the first available entry
+   * @param {Array<string>} [languages] - Preferred BCP-47 codes, most preferred first (navigator.languages when omitted)
+   * @returns {GreetingEntry} Opening entry
+   */
+  first(languages) {
+    const preferred = languages || (navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language || '']);
+    const match = window.GREETING_CONFIG.VISITOR_LANGUAGE_FIRST ? this.match(preferred) : null;
+    return this.use(match || this.entries.find(entry => this.isAvailable(entry)) || this.entries[0]);
+  }
+
+  /**
+   * @method match
+   * @description Finds the entry for the first preferred language that has one: an exact code, then the same primary
+   * language ('pt' for 'pt-BR' and the other way round)
+   * @param {Array<string>} languages - Preferred BCP-47 codes
+   * @returns {GreetingEntry|null} Matching entry
+   */
+  match(languages) {
+    const available = this.entries.filter(entry => this.isAvailable(entry));
+    for (const language of languages) {
+      const code = language.toLowerCase();
+      const primary = code.split('-')[0];
+      const entry = available.find(candidate => candidate.code.toLowerCase() === code)
+        || available.find(candidate => candidate.code.toLowerCase().split('-')[0] === primary);
+      if (entry) return entry;
+    }
+    return null;
+  }
+
+  /**
+   * @method next
+   * @description Picks the greeting after the current one, never the same entry twice in a row while another is available
+   * @returns {GreetingEntry} Next entry (the current one when nothing else is left)
+   */
+  next() {
+    const candidates = this.entries.filter(entry => entry !== this.current && this.isAvailable(entry));
+    if (!candidates.length) return this.use(this.current || this.entries[0]);
+    if (this.order === 'shuffle') return this.use(this.pickWeighted(candidates));
+
+    const start = this.entries.indexOf(this.current);
+    for (let step = 1; step <= this.entries.length; step++) {
+      const entry = this.entries[(start + step) % this.entries.length];
+      if (candidates.indexOf(entry) !== -1) return this.use(entry);
+    }
+    return this.use(candidates[0]);
+  }
+
+  /**
+   * @method textOf
+   * @description Gives an entry's greeting for a time of day, using the first variant whose window contains it
+   * @param {GreetingEntry} entry - Greeting entry
+   * @param {Date} [date] - Moment to greet at (now when omitted)
+   * @returns {string} Greeting text
+   */
+  textOf(entry, date = new Date()) {
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const variant = (entry.variants || []).find(({ from, to }) => from <= to ? minutes >= from && minutes < to : minutes >= from || minutes < to);
+    return variant ? variant.text : entry.text;
+  }
+
+  /**
+   * @method durationOf
+   * @description Tells how long an entry stays up
+   * @param {GreetingEntry} entry - Greeting entry
+   * @returns {number} Milliseconds
+   */
+  durationOf(entry) {
+    return entry.duration >= window.GREETING_CONFIG.MIN_DURATION ? entry.duration : window.MENU_CONFIG.WELCOME_INTERVAL;
+  }
+
+  /**
+   * @method isAvailable
+   * @description Tells whether an entry can still be shown (show-once entries only until used)
+   * @param {GreetingEntry} entry - Greeting entry
+   * @returns {boolean}
+   */
+  isAvailable(entry) {
+    return !(entry.once && this.shown.has(entry));
+  }
+
+  /**
+   * @method pickWeighted
+   * @description Draws one entry with probability proportional to its weight; equal odds when every weight is 0
+   * @param {Array<GreetingEntry>} candidates - Entries to draw from
+   * @returns {GreetingEntry}
+   */
+  pickWeighted(candidates) {
+    const weightOf = entry => (entry.weight === undefined ? window.GREETING_CONFIG.DEFAULT_WEIGHT : Math.max(0, entry.weight));
+    const total = candidates.reduce((sum, entry) => sum + weightOf(entry), 0);
+    if (total <= 0) return candidates[Math.floor(this.random() * candidates.length)];
+    let threshold = this.random() * total;
+    return candidates.find(entry => (threshold -= weightOf(entry)) < 0) || candidates[candidates.length - 1];
+  }
+
+  /**
+   * @method use
+   * @description Makes an entry the current one and uses up show-once entries
+   * @param {GreetingEntry} entry - Entry being shown
+   * @returns {GreetingEntry} The same entry
+   */
+  use(entry) {
+    this.current = entry;
+    if (entry && entry.once) this.shown.add(entry);
+    return entry;
+  }
+};
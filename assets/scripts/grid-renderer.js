@@ -1,13 +1,25 @@
 /**
  * @module GridRenderer
  * @description Renders an 80px grid for Shimti Multimedia's background.
- * Uses offscreen canvas for performance in live environments.
+ * Uses offscreen canvas for performance in live environments. The static grid is cached offscreen; a cursor spotlight
+ * and click ripples brighten lines on top of it, and each frame only the regions they touched are restored from the cache.
+ * In the 3D mode (parallax-camera.js) the grid is drawn as a receding perspective floor or tunnel instead, redrawn in
+ * steps as the camera moves, at most as often as the quality tier allows.
  */
 
 /** @constant {Object} window.GRID_CONFIG - Configuration for grid rendering */
 window.GRID_CONFIG = {
   GRID_SPACING: 80, // Grid line spacing in pixels
-  GRID_STROKE: 'rgba(100, 150, 255, 0.1)', // Grid line color
+  GRID_STROKE: 'rgba(var(--hud-grid-rgb), 0.1)', // Grid line color
+  HIGHLIGHT_STROKE: 'rgba(var(--hud-grid-rgb), {alpha})', // Spotlight and ripple line color
+  SPOTLIGHT_RADIUS: 220, // Reach of the cursor spotlight in pixels (0 disables it)
+  SPOTLIGHT_ALPHA: 0.45, // Line opacity under the cursor
+  RIPPLE_SPEED: 700, // Ripple growth in pixels per second
+  RIPPLE_WIDTH: 90, // Thickness of a ripple front
+  RIPPLE_ALPHA: 0.6, // Line opacity at a fresh ripple front
+  RIPPLE_MAX_RADIUS: 1400, // Ripples have faded out by this radius
+  PULSE_PERIOD: 4000, // Duration of one brightness pulse of the highlighted lines in ms
+  PULSE_DEPTH: 0.3, // How far the pulse dims the spotlight and ripple lines (0 disables it)
 };
 
 /**
@@ -23,60 +35,327 @@ window.renderGrid = function (canvas) {
 
   let width = window.innerWidth;
   let height = window.innerHeight;
-  const dpr = window.devicePixelRatio || 1;
+  let dpr = 1;
 
   const offscreenCanvas = document.createElement('canvas');
-  offscreenCanvas.width = width * dpr;
-  offscreenCanvas.height = height * dpr;
   const offscreenCtx = offscreenCanvas.getContext('2d', { alpha: true });
-  offscreenCtx.setTransform(dpr, 0, 0, dpr, 0, 0);
 
-  canvas.width = width * dpr;
-  canvas.height = height * dpr;
-  canvas.style.width = `${width}px`;
-  canvas.style.height = `${height}px`;
-  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  let highlightColor = '';
+  let pointer = null;
+  let ripples = [];
+  let pulseTime = 0;
+  let gridFps = window.QualityGovernor.getTier().gridFps;
+  let drawnCamera = { x: 0, y: 0 }; // Camera deflection the perspective grid was last drawn for
+  let sinceRedraw = 0;
+  // Regions highlighted in the last frame; they are restored from the cache before the next one is drawn
+  let dirtyShapes = [];
 
-  /** @function drawGrid - Draws grid lines on offscreen canvas */
-  function drawGrid() {
-    offscreenCtx.clearRect(0, 0, width, height);
-    offscreenCtx.strokeStyle = window.GRID_CONFIG.GRID_STROKE;
-    offscreenCtx.lineWidth = 1;
+  /**
+   * @function drawFloor - Draws a floor receding to a horizon; lines fade with distance
+   * @param {{x: number, y: number}} camera - Camera deflection (-1..1)
+   * @param {string} color - Stroke template with an {alpha} placeholder
+   */
+  function drawFloor(camera, color) {
+    const config = window.CAMERA_CONFIG;
+    const spacing = window.GRID_CONFIG.GRID_SPACING;
+    const horizonY = height * config.HORIZON - camera.y * config.PARALLAX;
+    const vanishX = width / 2 - camera.x * config.PARALLAX;
+    // Distance from the horizon to the bottom edge, where the floor is at depth 1
+    const focal = height - horizonY;
+    if (focal <= 0) return;
+    const farY = horizonY + focal / config.DEPTH;
 
-    for (let x = 0; x < width; x += window.GRID_CONFIG.GRID_SPACING) {
-      offscreenCtx.beginPath();
-      offscreenCtx.moveTo(x, 0);
-      offscreenCtx.lineTo(x, height);
-      offscreenCtx.stroke();
+    // Lines running into the distance, spaced GRID_SPACING apart along the bottom edge
+    const fade = offscreenCtx.createLinearGradient(0, height, 0, farY);
+    fade.addColorStop(0, color.replace('{alpha}', config.GRID_ALPHA));
+    fade.addColorStop(1, color.replace('{alpha}', 0));
+    offscreenCtx.strokeStyle = fade;
+    offscreenCtx.beginPath();
+    // Far ends converge, so lines well beyond the edges still reach into view
+    const reach = Math.max(vanishX, width - vanishX) * config.DEPTH;
+    for (let x = -Math.floor(reach / spacing) * spacing; x <= reach; x += spacing) {
+      offscreenCtx.moveTo(vanishX + x, height);
+      offscreenCtx.lineTo(vanishX + x / config.DEPTH, farY);
     }
-    for (let y = 0; y < height; y += window.GRID_CONFIG.GRID_SPACING) {
+    offscreenCtx.stroke();
+
+    // Cross lines at depths that keep the cells square
+    for (let z = 1; z <= config.DEPTH; z += spacing / focal * z) {
+      const y = horizonY + focal / z;
+      offscreenCtx.strokeStyle = color.replace('{alpha}', config.GRID_ALPHA / z);
       offscreenCtx.beginPath();
       offscreenCtx.moveTo(0, y);
       offscreenCtx.lineTo(width, y);
       offscreenCtx.stroke();
     }
+  }
+
+  /**
+   * @function drawTunnel - Draws a tunnel receding to a vanishing point on all four sides; lines fade with distance
+   * @param {{x: number, y: number}} camera - Camera deflection (-1..1)
+   * @param {string} color - Stroke template with an {alpha} placeholder
+   */
+  function drawTunnel(camera, color) {
+    const config = window.CAMERA_CONFIG;
+    const spacing = window.GRID_CONFIG.GRID_SPACING;
+    const vanishX = width / 2 - camera.x * config.PARALLAX;
+    const vanishY = height / 2 - camera.y * config.PARALLAX;
+    const project = (x, y, z) => [vanishX + (x - vanishX) / z, vanishY + (y - vanishY) / z];
+
+    // Rays from points GRID_SPACING apart along the viewport edges
+    const fade = offscreenCtx.createRadialGradient(vanishX, vanishY, 0, vanishX, vanishY, Math.hypot(width, height) / 2);
+    fade.addColorStop(0, color.replace('{alpha}', 0));
+    fade.addColorStop(1, color.replace('{alpha}', config.GRID_ALPHA));
+    offscreenCtx.strokeStyle = fade;
+    offscreenCtx.beginPath();
+    const ray = (x, y) => {
+      const far = project(x, y, config.DEPTH);
+      offscreenCtx.moveTo(x, y);
+      offscreenCtx.lineTo(far[0], far[1]);
+    };
+    for (let x = 0; x <= width; x += spacing) {
+      ray(x, 0);
+      ray(x, height);
+    }
+    for (let y = spacing; y < height; y += spacing) {
+      ray(0, y);
+      ray(width, y);
+    }
+    offscreenCtx.stroke();
+
+    // Cross sections at depths that keep the wall cells square
+    const halfSize = Math.min(width, height) / 2;
+    for (let z = 1; z <= config.DEPTH; z += spacing / halfSize * z) {
+      const topLeft = project(0, 0, z);
+      const bottomRight = project(width, height, z);
+      offscreenCtx.strokeStyle = color.replace('{alpha}', config.GRID_ALPHA / z);
+      offscreenCtx.strokeRect(topLeft[0], topLeft[1], bottomRight[0] - topLeft[0], bottomRight[1] - topLeft[1]);
+    }
+  }
+
+  /** @function drawGrid - Draws grid lines on offscreen canvas */
+  function drawGrid() {
+    offscreenCtx.clearRect(0, 0, width, height);
+    offscreenCtx.lineWidth = 1;
+
+    const camera = window.ParallaxCamera;
+    if (camera.enabled) {
+      drawnCamera = { x: camera.current.x, y: camera.current.y };
+      sinceRedraw = 0;
+      const color = window.resolveThemeColor(window.GRID_CONFIG.HIGHLIGHT_STROKE);
+      if (window.CAMERA_CONFIG.GRID_MODE === 'tunnel') {
+        drawTunnel(camera.current, color);
+      } else {
+        drawFloor(camera.current, color);
+      }
+    } else {
+      offscreenCtx.strokeStyle = window.resolveThemeColor(window.GRID_CONFIG.GRID_STROKE);
+      for (let x = 0; x < width; x += window.GRID_CONFIG.GRID_SPACING) {
+        offscreenCtx.beginPath();
+        offscreenCtx.moveTo(x, 0);
+        offscreenCtx.lineTo(x, height);
+        offscreenCtx.stroke();
+      }
+      for (let y = 0; y < height; y += window.GRID_CONFIG.GRID_SPACING) {
+        offscreenCtx.beginPath();
+        offscreenCtx.moveTo(0, y);
+        offscreenCtx.lineTo(width, y);
+        offscreenCtx.stroke();
+      }
+    }
 
     ctx.clearRect(0, 0, width, height);
-    ctx.drawImage(offscreenCanvas, 0, 0);
+    ctx.drawImage(offscreenCanvas, 0, 0, width, height);
+    highlightColor = window.resolveThemeColor(window.GRID_CONFIG.HIGHLIGHT_STROKE);
+    dirtyShapes = [];
   }
 
-  drawGrid();
-
-  let resizeTimeout;
-  window.addEventListener('resize', () => {
-    clearTimeout(resizeTimeout);
-    resizeTimeout = setTimeout(() => {
-      width = window.innerWidth;
-      height = window.innerHeight;
-      canvas.width = width * dpr;
-      canvas.height = height * dpr;
-      canvas.style.width = `${width}px`;
-      canvas.style.height = `${height}px`;
-      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
-      offscreenCanvas.width = width * dpr;
-      offscreenCanvas.height = height * dpr;
-      offscreenCtx.setTransform(dpr, 0, 0, dpr, 0, 0);
-      drawGrid();
-    }, 100);
+  /**
+   * @function shapeBounds - Clamps a shape's bounding box to the canvas
+   * @param {{x: number, y: number, outer: number}} shape - Circle or annulus
+   * @returns {{left: number, top: number, width: number, height: number}|null} Box in CSS pixels, or null when off-canvas
+   */
+  function shapeBounds(shape) {
+    const left = Math.max(0, Math.floor(shape.x - shape.outer));
+    const top = Math.max(0, Math.floor(shape.y - shape.outer));
+    const right = Math.min(width, Math.ceil(shape.x + shape.outer));
+    const bottom = Math.min(height, Math.ceil(shape.y + shape.outer));
+    return right > left && bottom > top ? { left, top, width: right - left, height: bottom - top } : null;
+  }
+
+  /**
+   * @function clipToShape - Clips the context to a circle, or to an annulus when the shape has an inner radius
+   * @param {{x: number, y: number, outer: number, inner: number}} shape - Shape in CSS pixels
+   */
+  function clipToShape(shape) {
+    ctx.beginPath();
+    ctx.arc(shape.x, shape.y, shape.outer, 0, Math.PI * 2);
+    if (shape.inner > 0) ctx.arc(shape.x, shape.y, shape.inner, 0, Math.PI * 2);
+    ctx.clip('evenodd');
+  }
+
+  /**
+   * @function restoreShape - Copies the cached base grid back over a highlighted region
+   * @param {{x: number, y: number, outer: number, inner: number}} shape - Region highlighted last frame
+   */
+  function restoreShape(shape) {
+    const bounds = shapeBounds(shape);
+    if (!bounds) return;
+    ctx.save();
+    clipToShape(shape);
+    ctx.clearRect(bounds.left, bounds.top, bounds.width, bounds.height);
+    ctx.drawImage(
+      offscreenCanvas,
+      bounds.left * dpr, bounds.top * dpr, bounds.width * dpr, bounds.height * dpr,
+      bounds.left, bounds.top, bounds.width, bounds.height
+    );
+    ctx.restore();
+  }
+
+  /**
+   * @function highlightShape - Redraws the grid lines inside a region with a brighter stroke
+   * @param {{x: number, y: number, outer: number, inner: number}} shape - Region to highlight
+   * @param {CanvasGradient} style - Stroke, usually a radial gradient centered on the shape
+   */
+  function highlightShape(shape, style) {
+    const bounds = shapeBounds(shape);
+    if (!bounds) return;
+    const spacing = window.GRID_CONFIG.GRID_SPACING;
+    ctx.save();
+    clipToShape(shape);
+    ctx.strokeStyle = style;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let x = Math.ceil(bounds.left / spacing) * spacing; x <= bounds.left + bounds.width; x += spacing) {
+      ctx.moveTo(x, bounds.top);
+      ctx.lineTo(x, bounds.top + bounds.height);
+    }
+    for (let y = Math.ceil(bounds.top / spacing) * spacing; y <= bounds.top + bounds.height; y += spacing) {
+      ctx.moveTo(bounds.left, y);
+      ctx.lineTo(bounds.left + bounds.width, y);
+    }
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  /**
+   * @function renderEffects - Advances ripples and the pulse, then redraws only the regions that changed; the pulse
+   * scales the highlight alpha, so it costs nothing beyond the highlighted regions
+   * @param {number} delta - Clock ms since the last call
+   */
+  function renderEffects(delta) {
+    const config = window.GRID_CONFIG;
+    const reduced = window.prefersReducedMotion();
+
+    ripples = reduced ? [] : ripples.filter(ripple => {
+      ripple.radius += config.RIPPLE_SPEED * delta / 1000;
+      return ripple.radius - config.RIPPLE_WIDTH < config.RIPPLE_MAX_RADIUS;
+    });
+
+    let pulse = 1;
+    if (config.PULSE_DEPTH > 0 && !reduced) {
+      pulseTime += delta;
+      pulse = 1 - config.PULSE_DEPTH * (0.5 - 0.5 * Math.cos(2 * Math.PI * pulseTime / config.PULSE_PERIOD));
+    }
+
+    // Spotlight and ripples follow the flat grid's lines, so the perspective grid goes without them. It follows the
+    // camera once the vanishing point has moved REDRAW_STEP pixels, at most gridFps times a second
+    const camera = window.ParallaxCamera;
+    if (camera.enabled) {
+      ripples = [];
+      sinceRedraw += delta;
+      const moved = Math.max(Math.abs(camera.current.x - drawnCamera.x), Math.abs(camera.current.y - drawnCamera.y)) * window.CAMERA_CONFIG.PARALLAX;
+      if (gridFps > 0 && sinceRedraw >= 1000 / gridFps && moved >= window.CAMERA_CONFIG.REDRAW_STEP) drawGrid();
+      return;
+    }
+
+    if (!dirtyShapes.length && !ripples.length && !(pointer && config.SPOTLIGHT_RADIUS > 0)) return;
+
+    dirtyShapes.forEach(restoreShape);
+    const shapes = [];
+
+    if (pointer && config.SPOTLIGHT_RADIUS > 0) {
+      // Padded by a pixel so the line width is restored too
+      const shape = { x: pointer.x, y: pointer.y, outer: config.SPOTLIGHT_RADIUS + 1, inner: 0 };
+      const gradient = ctx.createRadialGradient(pointer.x, pointer.y, 0, pointer.x, pointer.y, config.SPOTLIGHT_RADIUS);
+      gradient.addColorStop(0, highlightColor.replace('{alpha}', config.SPOTLIGHT_ALPHA * pulse));
+      gradient.addColorStop(1, highlightColor.replace('{alpha}', 0));
+      highlightShape(shape, gradient);
+      shapes.push(shape);
+    }
+
+    ripples.forEach(ripple => {
+      const inner = Math.max(0, ripple.radius - config.RIPPLE_WIDTH);
+      const shape = { x: ripple.x, y: ripple.y, outer: ripple.radius + 1, inner: inner - 1 };
+      const fade = Math.max(0, 1 - ripple.radius / config.RIPPLE_MAX_RADIUS);
+      const gradient = ctx.createRadialGradient(ripple.x, ripple.y, inner, ripple.x, ripple.y, ripple.radius + 1);
+      gradient.addColorStop(0, highlightColor.replace('{alpha}', 0));
+      gradient.addColorStop(1, highlightColor.replace('{alpha}', config.RIPPLE_ALPHA * fade * pulse));
+      highlightShape(shape, gradient);
+      shapes.push(shape);
+    });
+
+    dirtyShapes = shapes;
+  }
+
+  /**
+   * @function addRipple - Sends a ripple outward from a point (skipped under reduced motion)
+   * @param {number} x - Origin in CSS pixels
+   * @param {number} y - Origin in CSS pixels
+   */
+  function addRipple(x, y) {
+    if (window.prefersReducedMotion()) return;
+    ripples.push({ x, y, radius: 0 });
+  }
+
+  window.HudLayout.subscribe((layout, previous) => {
+    if (!window.HudLayout.viewportChanged(layout, previous)) return;
+    dpr = layout.viewport.dpr;
+    width = layout.viewport.width;
+    height = layout.viewport.height;
+    canvas.width = width * dpr;
+    canvas.height = height * dpr;
+    canvas.style.width = `${width}px`;
+    canvas.style.height = `${height}px`;
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    offscreenCanvas.width = width * dpr;
+    offscreenCanvas.height = height * dpr;
+    offscreenCtx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    drawGrid();
+  });
+
+  window.addEventListener('themechange', drawGrid);
+
+  // Redraw when the 3D mode is switched on or off; renderEffects follows the camera in between
+  let perspective = false;
+  window.ParallaxCamera.subscribe(camera => {
+    if (camera.enabled === perspective) return;
+    perspective = camera.enabled;
+    drawGrid();
+  });
+
+  window.addEventListener('qualitychange', event => {
+    gridFps = event.detail.tier.gridFps;
   });
+
+  window.addEventListener('pointermove', event => {
+    pointer = { x: event.clientX, y: event.clientY };
+  }, { passive: true });
+  window.addEventListener('pointerup', event => {
+    if (event.pointerType === 'touch') pointer = null;
+  });
+  window.addEventListener('pointercancel', () => {
+    pointer = null;
+  });
+  document.documentElement.addEventListener('pointerleave', () => {
+    pointer = null;
+  });
+
+  window.addEventListener('click', event => {
+    // Menu sectors ripple through 'menuselect' instead; keyboard clicks (detail 0) have no position
+    if (event.detail > 0 && !(event.target.closest && event.target.closest('#radialMenu'))) addRipple(event.clientX, event.clientY);
+  });
+  window.addEventListener('menuselect', event => addRipple(event.detail.x, event.detail.y));
+
+  window.AnimationClock.register(renderEffects, { fps: window.TARGET_FPS });
 };
@@ -0,0 +1,329 @@
+/**
+ * @module I18n
+ * @description Internationalisation layer for Shimti Multimedia's HUD.
+ * Holds the UI strings and menu label translations of each locale (BCP-47 codes, registered from languages.xml),
+ * tells text direction and script apart so text elements get lang, dir and a script-appropriate font stack,
+ * and relabels the page through setLocale(), which fires 'localechange'.
+ */
+
+/** @constant {Object} window.I18N_CONFIG - Configuration for locales, directions and scripts */
+window.I18N_CONFIG = {
+  DEFAULT_LOCALE: 'en',
+  LANGUAGES_URL: 'assets/data/languages.xml', // Greetings and translations (.xml or .json, see loadLanguages)
+  RTL_LANGUAGES: ['ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'ps', 'sd', 'ug', 'ur', 'yi'], // Primary subtags written right to left
+  RTL_SCRIPTS: ['Arab', 'Hebr', 'Syrc', 'Thaa', 'Nkoo'], // Script subtags written right to left (e.g. pa-Arab)
+  // Script detection order and the data-script group each script maps to (ui.css gives each group a font stack)
+  SCRIPTS: [
+    { pattern: /\p{Script=Arabic}/u, group: 'arab' },
+    { pattern: /\p{Script=Hebrew}/u, group: 'hebr' },
+    { pattern: /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u, group: 'cjk' },
+    { pattern: /[\p{Script=Devanagari}\p{Script=Bengali}\p{Script=Gurmukhi}\p{Script=Tamil}\p{Script=Telugu}\p{Script=Sinhala}]/u, group: 'indic' },
+    { pattern: /[\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u, group: 'sea' },
+    { pattern: /\p{Script=Ethiopic}/u, group: 'ethi' },
+    { pattern: /[\p{Script=Cyrillic}\p{Script=Greek}]/u, group: 'cyrl' },
+  ],
+};
+
+/**
+ * @constant {Object<string, Object>} window.TRANSLATIONS - Per-locale { strings, labels, descriptions }.
+ * strings holds UI strings by key, labels and descriptions menu item texts by navigation item id.
+ */
+window.TRANSLATIONS = {
+  en: {
+    strings: {
+      loading: 'Loading...',
+      welcome: 'Welcome',
+      menu: 'Menu',
+      siteSections: 'Site sections',
+      skipToMenu: 'Skip to navigation menu',
+      menuBreadcrumbs: 'Menu breadcrumbs',
+      backToMenu: 'Back to menu',
+      opensInNewTab: '(opens in a new tab)',
+      pauseGreetings: 'Pause greetings',
+      playGreetings: 'Play greetings',
+      nextGreeting: 'Next greeting',
+    },
+    labels: {},
+    descriptions: {},
+  },
+};
+
+/** @type {string} Current locale (BCP-47) */
+window.currentLocale = window.I18N_CONFIG.DEFAULT_LOCALE;
+
+/**
+ * @function window.registerTranslations
+ * @description Adds translations for a locale, merging over any registered before
+ * @param {string} code - BCP-47 code, e.g. 'es' or 'pt-BR'
+ * @param {Object} translations - { strings, labels, descriptions }, each optional
+ */
+window.registerTranslations = function(code, translations) {
+  const entry = window.TRANSLATIONS[code] || (window.TRANSLATIONS[code] = { strings: {}, labels: {}, descriptions: {} });
+  ['strings', 'labels', 'descriptions'].forEach(kind => Object.assign(entry[kind], translations[kind]));
+};
+
+/**
+ * @function window.localeChain
+ * @description Lists the registered locales to look a translation up in, most specific first ('pt-BR', 'pt', then the default)
+ * @param {string} [code] - BCP-47 code (the current locale when omitted)
+ * @returns {Array<Object>} Translation entries
+ */
+window.localeChain = function(code) {
+  const parts = (code || window.currentLocale).split('-');
+  const codes = parts.map((_, i) => parts.slice(0, parts.length - i).join('-')).concat(window.I18N_CONFIG.DEFAULT_LOCALE);
+  return codes.map(candidate => window.TRANSLATIONS[candidate]).filter(Boolean);
+};
+
+/**
+ * @function window.t
+ * @description Looks up a UI string in the current locale
+ * @param {string} key - String key, e.g. 'menu'
+ * @returns {string} Translation, the English string, or the key itself
+ */
+window.t = function(key) {
+  const entry = window.localeChain().find(candidate => candidate.strings[key] !== undefined);
+  return entry ? entry.strings[key] : key;
+};
+
+/**
+ * @function window.translateItem
+ * @description Looks up a menu item's label or description in the current locale
+ * @param {string} kind - 'labels' or 'descriptions'
+ * @param {string} id - Navigation item id
+ * @param {string} fallback - Text from the navigation manifest
+ * @returns {string} Translation or the fallback
+ */
+window.translateItem = function(kind, id, fallback) {
+  const entry = window.localeChain().find(candidate => candidate[kind][id] !== undefined);
+  return entry ? entry[kind][id] : fallback;
+};
+
+/**
+ * @function window.textDirection
+ * @description Tells the writing direction of a locale from its language or script subtag
+ * @param {string} code - BCP-47 code
+ * @returns {string} 'rtl' or 'ltr'
+ */
+window.textDirection = function(code) {
+  const subtags = (code || '').split('-');
+  const language = subtags[0].toLowerCase();
+  const script = subtags.find((subtag, i) => i > 0 && subtag.length === 4);
+  if (script) return window.I18N_CONFIG.RTL_SCRIPTS.indexOf(script.charAt(0).toUpperCase() + script.slice(1).toLowerCase()) !== -1 ? 'rtl' : 'ltr';
+  return window.I18N_CONFIG.RTL_LANGUAGES.indexOf(language) !== -1 ? 'rtl' : 'ltr';
+};
+
+/**
+ * @function window.scriptGroup
+ * @description Finds the script group of a text for font selection
+ * @param {string} text - Text to inspect
+ * @returns {string} Group name from I18N_CONFIG.SCRIPTS, or 'latn'
+ */
+window.scriptGroup = function(text) {
+  const match = window.I18N_CONFIG.SCRIPTS.find(script => script.pattern.test(text || ''));
+  return match ? match.group : 'latn';
+};
+
+/**
+ * @function window.setLocalizedText
+ * @description Sets an element's text with its lang, dir and data-script (picked up by the font stacks in ui.css)
+ * @param {Element} element - Element to fill
+ * @param {string} text - Text content
+ * @param {string} code - BCP-47 code of the text
+ * @param {string} [dir] - Direction override ('rtl' or 'ltr'); derived from the code when omitted
+ */
+window.setLocalizedText = function(element, text, code, dir) {
+  element.textContent = text;
+  window.markLocalized(element, code, text, dir);
+};
+
+/**
+ * @function window.markLocalized
+ * @description Sets lang, dir and data-script on an element whose content is already in place
+ * @param {Element} element - Element to mark
+ * @param {string} code - BCP-47 code of the content
+ * @param {string} [text] - Text used to detect the script (the element's text when omitted)
+ * @param {string} [dir] - Direction override
+ */
+window.markLocalized = function(element, code, text, dir) {
+  element.setAttribute('lang', code);
+  element.setAttribute('dir', dir || window.textDirection(code));
+  element.dataset.script = window.scriptGroup(text === undefined ? element.textContent : text);
+};
+
+/**
+ * @function window.applyTranslations
+ * @description Refreshes elements marked with data-i18n (text) or data-i18n-label (aria-label) within a root
+ * @param {ParentNode} [root] - Subtree to update (the document when omitted)
+ */
+window.applyTranslations = function(root) {
+  const scope = root || document;
+  Array.prototype.forEach.call(scope.querySelectorAll('[data-i18n]'), element => {
+    window.setLocalizedText(element, window.t(element.dataset.i18n), window.currentLocale);
+  });
+  Array.prototype.forEach.call(scope.querySelectorAll('[data-i18n-label]'), element => {
+    element.setAttribute('aria-label', window.t(element.dataset.i18nLabel));
+  });
+};
+
+/**
+ * @function window.setLocale
+ * @description Switches the UI locale: updates <html lang/dir> and data-i18n elements, then fires 'localechange' so the
+ * radial menu relabels its sectors
+ * @param {string} code - BCP-47 code; locales without translations fall back to English strings
+ */
+window.setLocale = function(code) {
+  if (typeof code !== 'string' || !/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(code)) {
+    console.error('Invalid locale:', code);
+    return;
+  }
+  window.currentLocale = code;
+  document.documentElement.lang = code;
+  document.documentElement.dir = window.textDirection(code);
+  window.applyTranslations();
+  window.dispatchEvent(new CustomEvent('localechange', { detail: { locale: code, dir: window.textDirection(code) } }));
+};
+
+/**
+ * @constant {Object} window.LANGUAGES_SCHEMA - Schema of the greeting data (languages.xml, or languages.json in the same
+ * shape: { order, languages: [...] }). Entries use the schema of the scene manifest's menu.FALLBACK_LANGUAGES.
+ */
+window.LANGUAGES_SCHEMA = {
+  type: 'object',
+  required: ['languages'],
+  properties: {
+    order: { type: 'string', enum: ['sequential', 'shuffle'] }, // Overrides GREETING_CONFIG.ORDER
+    languages: window.SCENE_SCHEMA.properties.menu.properties.FALLBACK_LANGUAGES,
+  },
+};
+
+/**
+ * @function window.languagesFromXml
+ * @description Converts languages.xml into the LANGUAGES_SCHEMA shape, recording where each value came from.
+ * Entries look like <language code="es" name="Spanish" text="Bienvenido"> with optional
+ * <label for="contact" description="...">Contacto</label>, <string key="menu">Menú</string> and
+ * <variant from="05:00" to="12:00" text="Buenos días" /> children.
+ * @param {Document} xmlDoc - Parsed languages.xml
+ * @param {XmlConversionContext} context - From loadData
+ * @returns {Object} { order, languages }
+ */
+window.languagesFromXml = function(xmlDoc, context) {
+  const entrySchema = window.LANGUAGES_SCHEMA.properties.languages.items;
+  const join = (path, key) => (path ? `${path}.${key}` : key);
+  // Attributes are coerced to the type the schema expects; values that do not convert fail validation with their line
+  const readAttributes = (element, path, properties) => {
+    const result = {};
+    Array.prototype.forEach.call(element.attributes, ({ name, value }) => {
+      const type = properties[name] && properties[name].type;
+      if (type === 'number' && value.trim() !== '') {
+        result[name] = Number(value);
+      } else if (type === 'boolean' && (value === 'true' || value === 'false')) {
+        result[name] = value === 'true';
+      } else {
+        result[name] = value;
+      }
+      context.track(join(path, name), element, name);
+    });
+    return result;
+  };
+  const ignore = element => context.report(element, null, `unknown element <${element.tagName}>, ignored`);
+
+  const root = xmlDoc.documentElement;
+  context.track('', root);
+  const data = readAttributes(root, '', window.LANGUAGES_SCHEMA.properties);
+  data.languages = [];
+  Array.prototype.forEach.call(root.children, node => {
+    if (node.tagName !== 'language') {
+      ignore(node);
+      return;
+    }
+    const path = `languages[${data.languages.length}]`;
+    context.track(path, node);
+    const entry = readAttributes(node, path, entrySchema.properties);
+    Array.prototype.forEach.call(node.children, child => {
+      if (child.tagName === 'variant') {
+        entry.variants = entry.variants || [];
+        const variantPath = `${path}.variants[${entry.variants.length}]`;
+        context.track(variantPath, child);
+        entry.variants.push(readAttributes(child, variantPath, entrySchema.properties.variants.items.properties));
+        return;
+      }
+      if (child.tagName !== 'label' && child.tagName !== 'string') {
+        ignore(child);
+        return;
+      }
+      const kind = child.tagName === 'label' ? 'labels' : 'strings';
+      const keyAttribute = child.tagName === 'label' ? 'for' : 'key';
+      const id = child.getAttribute(keyAttribute);
+      if (!id) {
+        context.report(child, keyAttribute, `<${child.tagName}> without ${keyAttribute}, ignored`);
+        return;
+      }
+      entry[kind] = entry[kind] || {};
+      entry[kind][id] = child.textContent.trim();
+      context.track(`${path}.${kind}.${id}`, child);
+      if (kind === 'labels' && child.hasAttribute('description')) {
+        entry.descriptions = entry.descriptions || {};
+        entry.descriptions[id] = child.getAttribute('description');
+        context.track(`${path}.descriptions.${id}`, child, 'description');
+      }
+    });
+    data.languages.push(entry);
+  });
+  return data;
+};
+
+/**
+ * @function window.registerLanguages
+ * @description Turns validated greeting data into greeting entries and registers the translations they carry.
+ * Entries without a code are greetings only ('und'); the older lang attribute is read as the name.
+ * @param {Object} data - { order, languages } matching LANGUAGES_SCHEMA
+ * @returns {{entries: Array<GreetingEntry>, order: string|null}} Greeting entries in file order, with their name
+ */
+window.registerLanguages = function(data) {
+  const minutesOf = time => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  };
+
+  const entries = data.languages.map(language => {
+    const code = language.code || 'und';
+    const isRtlScript = ['arab', 'hebr'].indexOf(window.scriptGroup(language.text)) !== -1;
+    if (code !== 'und') {
+      window.registerTranslations(code, { strings: language.strings, labels: language.labels, descriptions: language.descriptions });
+    }
+    return {
+      code,
+      name: language.name || language.lang || code,
+      text: language.text,
+      dir: language.dir || (code === 'und' ? (isRtlScript ? 'rtl' : 'ltr') : window.textDirection(code)),
+      once: !!language.once,
+      exclude: !!language.exclude,
+      weight: language.weight,
+      duration: language.duration,
+      effect: language.effect,
+      variants: (language.variants || []).map(variant => ({ from: minutesOf(variant.from), to: minutesOf(variant.to), text: variant.text })),
+    };
+  });
+  return { entries, order: data.order || null };
+};
+
+/**
+ * @function window.loadLanguages
+ * @description Loads the greeting data through loadData (XML or JSON, validated, cached for the visit), falling back to
+ * MENU_CONFIG.FALLBACK_LANGUAGES when it is missing, slow or invalid
+ * @param {string} [url] - Data file URL (I18N_CONFIG.LANGUAGES_URL when omitted)
+ * @returns {Promise<{entries: Array<GreetingEntry>, order: string|null}>} Never rejects
+ */
+window.loadLanguages = function(url) {
+  const dataUrl = url || window.I18N_CONFIG.LANGUAGES_URL;
+  return window.loadData(dataUrl, { schema: window.LANGUAGES_SCHEMA, fromXml: window.languagesFromXml })
+    .then(({ data, errors }) => {
+      if (errors.length) console.warn(`${dataUrl} has problems; invalid entries are skipped:`, errors);
+      console.log('Using languages:', dataUrl);
+      return window.registerLanguages(data);
+    })
+    .catch(error => {
+      console.log(`Failed to load ${dataUrl}, using FALLBACK_LANGUAGES:`, error.message);
+      return window.registerLanguages({ languages: window.MENU_CONFIG.FALLBACK_LANGUAGES });
+    });
+};
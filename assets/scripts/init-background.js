@@ -1,80 +1,309 @@
 /**
  * @module InitBackground
  * @description Initializes particle and grid animations for Shimti Multimedia's background.
- * Orchestrates modular components for live environment stability.
+ * Orchestrates modular components for live environment stability. Particles render in a worker through OffscreenCanvas
+ * when the browser supports it, and on the main thread otherwise.
  */
 
-/** @constant {number} window.TARGET_FPS - Target frames per second for animations */
+/** @constant {number} window.TARGET_FPS - Target frames per second for the particle tick */
 window.TARGET_FPS = 30;
 
+/** @constant {Object} window.PARTICLE_WORKER_CONFIG - Configuration for off-main-thread particle rendering */
+window.PARTICLE_WORKER_CONFIG = {
+  ENABLED: true, // Set to false to always render particles on the main thread
+  SCRIPT_URL: 'assets/scripts/particle-worker.js',
+};
+
+/**
+ * @typedef {Object} ParticleRenderer
+ * @property {function(number, number, number): void} resize - Resizes the canvas (width, height, device pixel ratio)
+ * @property {function(boolean): void} setFrozen - Stops or restarts particle motion (reduced motion)
+ * @property {function(): void} refreshColors - Picks up the current theme colours
+ * @property {function(ParticleQuality): void} setQuality - Applies a quality tier
+ * @property {function({x: number, y: number}|null): void} setPointer - Moves or removes the pointer particles react to
+ * @property {function({x: number, y: number, radius: number}|null): void} setObstacle - Sets the disc particles avoid
+ * @property {function({x: number, y: number, radius: number}|null): void} setTarget - Sets where circuit packets are routed
+ * @property {function(number): void} setGridSpacing - Sets the flat grid spacing circuit packets ride (0 turns circuit routing off)
+ * @property {function(number, number): void} shockwave - Sends a shockwave out from a point
+ * @property {function(number, number): void} setParallax - Offsets depth bands by the 3D camera (offset of a depth 1.0 layer)
+ */
+
+/**
+ * @function window.createMainThreadParticleRenderer
+ * @description Animates particles on the main thread, ticked by the shared animation clock
+ * @param {HTMLCanvasElement} canvas - Particle canvas
+ * @param {boolean} frozen - Whether motion starts frozen
+ * @returns {ParticleRenderer|null} Renderer, or null without a 2D context
+ */
+window.createMainThreadParticleRenderer = function (canvas, frozen) {
+  const ctx = canvas.getContext('2d', { alpha: true });
+  if (!ctx) return null;
+
+  window.Particle.quality = window.QualityGovernor.getTier();
+  const field = new window.ParticleField(window.innerWidth, window.innerHeight);
+  field.setGridSpacing(window.GRID_CONFIG.GRID_SPACING);
+  // Give a frozen field trails instead of bare dots
+  if (frozen) field.step(25);
+
+  window.AnimationClock.register(() => {
+    if (frozen) return;
+    field.step();
+    field.draw(ctx);
+  }, { fps: window.TARGET_FPS });
+
+  return {
+    resize(width, height, dpr) {
+      canvas.width = width * dpr;
+      canvas.height = height * dpr;
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      field.resize(width, height);
+      if (frozen) field.draw(ctx);
+    },
+    setFrozen(value) {
+      frozen = value;
+      if (frozen) field.draw(ctx);
+    },
+    refreshColors() {
+      if (frozen) field.draw(ctx);
+    },
+    setQuality(quality) {
+      field.setQuality(quality);
+      if (frozen) field.draw(ctx);
+    },
+    setPointer(pointer) {
+      field.setPointer(pointer);
+    },
+    setObstacle(obstacle) {
+      field.setObstacle(obstacle);
+    },
+    setTarget(target) {
+      field.setTarget(target);
+    },
+    setGridSpacing(spacing) {
+      field.setGridSpacing(spacing);
+    },
+    shockwave(x, y) {
+      field.addShockwave(x, y);
+    },
+    setParallax(x, y) {
+      field.setParallax(x, y);
+      if (frozen) field.draw(ctx);
+    }
+  };
+};
+
+/**
+ * @function window.createWorkerParticleRenderer
+ * @description Transfers the canvas to the particle worker and forwards HUD state to it
+ * @param {HTMLCanvasElement} canvas - Particle canvas
+ * @param {boolean} frozen - Whether motion starts frozen
+ * @param {function(Error): void} onFail - Called when the worker fails after the canvas was transferred
+ * @returns {ParticleRenderer|null} Renderer, or null when workers or OffscreenCanvas are unavailable
+ */
+window.createWorkerParticleRenderer = function (canvas, frozen, onFail) {
+  if (!window.PARTICLE_WORKER_CONFIG.ENABLED || !window.Worker || !canvas.transferControlToOffscreen) return null;
+
+  let worker;
+  try {
+    worker = new Worker(window.PARTICLE_WORKER_CONFIG.SCRIPT_URL);
+  } catch (error) {
+    // e.g. pages opened from file://
+    console.log('Particle worker unavailable, rendering on the main thread:', error.message);
+    return null;
+  }
+
+  const clock = window.AnimationClock;
+  const offscreen = canvas.transferControlToOffscreen();
+  const onClockChange = event => worker.postMessage({ type: 'clock', running: event.detail.running, timeScale: event.detail.timeScale });
+
+  worker.addEventListener('error', event => {
+    event.preventDefault();
+    worker.terminate();
+    window.removeEventListener('clockchange', onClockChange);
+    onFail(new Error(event.message || 'Particle worker failed'));
+  });
+  window.addEventListener('clockchange', onClockChange);
+  worker.addEventListener('message', event => {
+    if (event.data.type === 'frameTime') window.QualityGovernor.report('worker', event.data.average);
+  });
+
+  worker.postMessage({
+    type: 'init',
+    canvas: offscreen,
+    config: window.PARTICLE_CONFIG,
+    linkConfig: window.PARTICLE_LINK_CONFIG,
+    gridSpacing: window.GRID_CONFIG.GRID_SPACING,
+    colors: window.Particle.resolveColors(),
+    quality: window.QualityGovernor.getTier(),
+    fps: window.TARGET_FPS,
+    maxFrameDelta: window.CLOCK_CONFIG.MAX_FRAME_DELTA,
+    frozen,
+    running: clock.isRunning(),
+    timeScale: clock.timeScale,
+    width: window.innerWidth,
+    height: window.innerHeight,
+    dpr: window.devicePixelRatio || 1
+  }, [offscreen]);
+
+  return {
+    resize(width, height, dpr) {
+      worker.postMessage({ type: 'resize', width, height, dpr });
+    },
+    setFrozen(value) {
+      worker.postMessage({ type: 'motion', frozen: value });
+    },
+    refreshColors() {
+      worker.postMessage({ type: 'colors', colors: window.Particle.resolveColors() });
+    },
+    setQuality(quality) {
+      worker.postMessage({ type: 'quality', quality });
+    },
+    setPointer(pointer) {
+      worker.postMessage({ type: 'pointer', pointer });
+    },
+    setObstacle(obstacle) {
+      worker.postMessage({ type: 'obstacle', obstacle });
+    },
+    setTarget(target) {
+      worker.postMessage({ type: 'target', target });
+    },
+    setGridSpacing(spacing) {
+      worker.postMessage({ type: 'gridSpacing', spacing });
+    },
+    shockwave(x, y) {
+      worker.postMessage({ type: 'shockwave', x, y });
+    },
+    setParallax(x, y) {
+      worker.postMessage({ type: 'parallax', x, y });
+    }
+  };
+};
+
 /**
  * @function window.initBackground
  * @description Sets up canvases and starts particle and grid animations
  */
 window.initBackground = function () {
   const gridCanvas = document.getElementById('gridCanvas');
-  const particleCanvas = document.getElementById('particleCanvas');
+  let particleCanvas = document.getElementById('particleCanvas');
   if (!gridCanvas || !particleCanvas) return;
 
-  const ctx = particleCanvas.getContext('2d', { alpha: true });
-  if (!ctx) return;
-
-  let width = window.innerWidth;
-  let height = window.innerHeight;
-  const dpr = window.devicePixelRatio || 1;
+  // Under reduced motion the particles freeze into a static field that is only redrawn when it must change
+  let frozen = window.prefersReducedMotion();
+  let viewport = null;
+  let pointer = null;
+  let obstacle = null;
+  let target = null;
+  let parallax = { x: 0, y: 0 };
+  let gridSpacing = window.GRID_CONFIG.GRID_SPACING;
 
-  particleCanvas.width = width * dpr;
-  particleCanvas.height = height * dpr;
-  particleCanvas.style.width = `${width}px`;
-  particleCanvas.style.height = `${height}px`;
-  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  /**
+   * @function fallBackToMainThread - Swaps the transferred canvas for a fresh one and renders particles on the main thread
+   * @param {Error} error - Worker failure
+   */
+  function fallBackToMainThread(error) {
+    console.log('Particle worker failed, rendering on the main thread:', error.message);
+    delete window.QualityGovernor.averages.worker;
+    const freshCanvas = particleCanvas.cloneNode(false);
+    particleCanvas.replaceWith(freshCanvas);
+    particleCanvas = freshCanvas;
+    renderer = window.createMainThreadParticleRenderer(particleCanvas, frozen);
+    if (!renderer) return;
+    if (viewport) renderer.resize(viewport.width, viewport.height, viewport.dpr);
+    renderer.setPointer(pointer);
+    renderer.setObstacle(obstacle);
+    renderer.setTarget(target);
+    renderer.setGridSpacing(gridSpacing);
+    renderer.setParallax(parallax.x, parallax.y);
+  }
 
-  const particles = [];
-  let particleId = 0;
+  /**
+   * @function updatePointer - Passes the cursor or touch point on to the particles
+   * @param {{x: number, y: number}|null} point - Point in CSS pixels, or null when there is none
+   */
+  function updatePointer(point) {
+    pointer = point;
+    if (renderer) renderer.setPointer(pointer);
+  }
 
-  for (let depth = 0.3; depth <= 1.0; depth += 0.2) {
-    const count = Math.floor(window.PARTICLE_CONFIG.MAX_PARTICLES * depth);
-    for (let i = 0; i < count; i++) {
-      particles.push(new window.Particle(depth, particleId, width, height));
-      particleId++;
+  /** @function updateObstacle - Makes particles avoid the radial menu disc (and circuit packets head into it) while the menu is shown */
+  function updateObstacle() {
+    const layout = window.HudLayout.current;
+    const menuShown = layout && layout.menu && !document.body.classList.contains(window.ROUTER_CONFIG.SECTION_OPEN_CLASS);
+    obstacle = menuShown ? {
+      x: layout.menu.centerX,
+      y: layout.menu.centerY,
+      radius: window.MENU_CONFIG.BACKGROUND_RADIUS * layout.menu.scale
+    } : null;
+    target = obstacle && window.PARTICLE_CONFIG.CIRCUIT_ROUTE_TO_MENU ? {
+      x: obstacle.x,
+      y: obstacle.y,
+      radius: obstacle.radius + window.PARTICLE_CONFIG.OBSTACLE_MARGIN
+    } : null;
+    if (renderer) {
+      renderer.setObstacle(obstacle);
+      renderer.setTarget(target);
     }
   }
 
-  let lastTime = performance.now();
-  /** @function animate - Updates and renders particles */
-  function animate() {
-    const now = performance.now();
-    const delta = now - lastTime;
-    const frameInterval = 1000 / window.TARGET_FPS;
-
-    if (delta >= frameInterval) {
-      ctx.clearRect(0, 0, width, height);
-      particles.forEach(particle => {
-        particle.update();
-        particle.draw(ctx);
-      });
-      lastTime = now - (delta % frameInterval);
-    }
+  let renderer = window.createWorkerParticleRenderer(particleCanvas, frozen, fallBackToMainThread) ||
+    window.createMainThreadParticleRenderer(particleCanvas, frozen);
+  if (!renderer) return;
 
-    requestAnimationFrame(animate);
-  }
+  window.addEventListener('motionchange', event => {
+    frozen = event.detail.reduced;
+    if (renderer) renderer.setFrozen(frozen);
+  });
 
-  window.renderGrid(gridCanvas);
-  animate();
-
-  window.addEventListener('resize', () => {
-    width = window.innerWidth;
-    height = window.innerHeight;
-    particleCanvas.width = width * dpr;
-    particleCanvas.height = height * dpr;
-    particleCanvas.style.width = `${width}px`;
-    particleCanvas.style.height = `${height}px`;
-    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
-    particles.forEach(particle => {
-      particle.width = width;
-      particle.height = height;
-    });
+  window.addEventListener('themechange', () => {
+    if (renderer) renderer.refreshColors();
+  });
+
+  window.addEventListener('qualitychange', event => {
+    if (renderer) renderer.setQuality(event.detail.tier);
+  });
+  window.QualityGovernor.start();
+
+  // Mouse, pen and touch all arrive as pointer events; a touch point only exists while the finger is down
+  window.addEventListener('pointermove', event => updatePointer({ x: event.clientX, y: event.clientY }), { passive: true });
+  window.addEventListener('pointerdown', event => updatePointer({ x: event.clientX, y: event.clientY }), { passive: true });
+  window.addEventListener('pointerup', event => {
+    if (event.pointerType === 'touch') updatePointer(null);
+  });
+  window.addEventListener('pointercancel', () => updatePointer(null));
+  document.documentElement.addEventListener('pointerleave', () => updatePointer(null));
+
+  window.addEventListener('click', event => {
+    // event.detail is 0 for keyboard activation, which has no meaningful position
+    if (renderer && !frozen && event.detail > 0) renderer.shockwave(event.clientX, event.clientY);
+  });
+
+  window.addEventListener('routechange', updateObstacle);
+
+  window.HudLayout.subscribe((layout, previous) => {
+    if (!window.HudLayout.viewportChanged(layout, previous)) return;
+    viewport = layout.viewport;
+    particleCanvas.style.width = `${viewport.width}px`;
+    particleCanvas.style.height = `${viewport.height}px`;
+    if (renderer) renderer.resize(viewport.width, viewport.height, viewport.dpr);
   });
+  window.HudLayout.subscribe(updateObstacle);
+
+  // Near layers move more than far ones, against the direction the camera looks. The flat grid is not drawn in the
+  // 3D mode, so circuit packets stop riding it
+  window.ParallaxCamera.subscribe(camera => {
+    const offset = camera.enabled ? window.CAMERA_CONFIG.PARALLAX : 0;
+    parallax = { x: -camera.current.x * offset, y: -camera.current.y * offset };
+    if (renderer) renderer.setParallax(parallax.x, parallax.y);
+    const spacing = camera.enabled ? 0 : window.GRID_CONFIG.GRID_SPACING;
+    if (spacing !== gridSpacing) {
+      gridSpacing = spacing;
+      if (renderer) renderer.setGridSpacing(gridSpacing);
+    }
+  });
+
+  window.renderGrid(gridCanvas);
+
 };
 
-window.addEventListener('load', window.initBackground);
+window.addEventListener('load', () => window.sceneReady.then(() => window.initBackground()));
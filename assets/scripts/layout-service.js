@@ -0,0 +1,184 @@
+/**
+ * @module LayoutService
+ * @description Shared measurement pass for Shimti Multimedia's HUD layers.
+ * Measures the anchor elements at most once per frame after window resizes, element resizes (ResizeObserver)
+ * and font loading, then hands the same layout to every subscribed module.
+ */
+
+/** @constant {Object} window.LAYOUT_CONFIG - Configuration for layout measurement */
+window.LAYOUT_CONFIG = {
+  MENU_VIEWBOX_SIZE: 400, // Size of the radial menu viewBox; the menu scale is its rendered width divided by this
+  ANCHORS: { // Named anchor elements measured on every pass
+    menu: 'radialMenu',
+    topPanel: 'shimtiPanel',
+    bottomPanel: 'shimtiPanelBottom',
+  },
+};
+
+/**
+ * @typedef {Object} AnchorRect
+ * @property {number} left
+ * @property {number} top
+ * @property {number} right
+ * @property {number} bottom
+ * @property {number} width
+ * @property {number} height
+ * @property {number} centerX
+ * @property {number} centerY
+ */
+
+/**
+ * @typedef {Object} HudLayoutSnapshot
+ * @property {{width: number, height: number, dpr: number}} viewport - Viewport size and device pixel ratio
+ * @property {{centerX: number, centerY: number, width: number, height: number, scale: number}|null} menu - Radial menu center and scale
+ * @property {Object<string, AnchorRect|null>} anchors - Measured anchors by name (null when the element is missing)
+ */
+
+/**
+ * @namespace window.HudLayout
+ * @description Measures anchors once per frame and notifies subscribers with a shared layout snapshot
+ */
+window.HudLayout = {
+  /** @property {HudLayoutSnapshot|null} current - Latest layout snapshot */
+  current: null,
+  subscribers: [],
+  frameRequested: false,
+  started: false,
+  observer: null,
+
+  /**
+   * @method subscribe
+   * @description Registers a layout callback; it runs immediately with the current layout and after every measurement
+   * @param {function(HudLayoutSnapshot, HudLayoutSnapshot|null): void} callback - Receives the new and previous layout
+   * @returns {function(): void} Unsubscribe function
+   */
+  subscribe(callback) {
+    this.start();
+    this.subscribers.push(callback);
+    callback(this.current, null);
+    return () => {
+      this.subscribers = this.subscribers.filter(subscriber => subscriber !== callback);
+    };
+  },
+
+  /**
+   * @method invalidate
+   * @description Schedules a measurement on the next animation frame; repeated calls within a frame coalesce
+   */
+  invalidate() {
+    if (this.frameRequested) return;
+    this.frameRequested = true;
+    requestAnimationFrame(() => {
+      this.frameRequested = false;
+      this.measure();
+    });
+  },
+
+  /**
+   * @method measure
+   * @description Reads every anchor rect in one pass, then notifies subscribers
+   * @returns {HudLayoutSnapshot} The new layout
+   */
+  measure() {
+    const previous = this.current;
+    const anchors = {};
+    Object.keys(window.LAYOUT_CONFIG.ANCHORS).forEach(name => {
+      anchors[name] = this.measureElement(document.getElementById(window.LAYOUT_CONFIG.ANCHORS[name]));
+    });
+
+    const menuRect = anchors.menu;
+    this.current = {
+      viewport: {
+        width: window.innerWidth,
+        height: window.innerHeight,
+        dpr: window.devicePixelRatio || 1
+      },
+      menu: menuRect ? {
+        centerX: menuRect.centerX,
+        centerY: menuRect.centerY,
+        width: menuRect.width,
+        height: menuRect.height,
+        scale: menuRect.width / window.LAYOUT_CONFIG.MENU_VIEWBOX_SIZE
+      } : null,
+      anchors
+    };
+
+    this.subscribers.forEach(callback => {
+      try {
+        callback(this.current, previous);
+      } catch (error) {
+        console.error('Layout subscriber failed:', error);
+      }
+    });
+    return this.current;
+  },
+
+  /**
+   * @method measureElement
+   * @description Converts an element's bounding rect into an AnchorRect
+   * @param {Element|null} element - Element to measure
+   * @returns {AnchorRect|null} Rect with center point, or null when the element is missing
+   */
+  measureElement(element) {
+    if (!element) return null;
+    const rect = element.getBoundingClientRect();
+    return {
+      left: rect.left,
+      top: rect.top,
+      right: rect.right,
+      bottom: rect.bottom,
+      width: rect.width,
+      height: rect.height,
+      centerX: rect.left + rect.width / 2,
+      centerY: rect.top + rect.height / 2
+    };
+  },
+
+  /**
+   * @method watch
+   * @description Remeasures whenever an element outside the named anchors resizes (e.g. a panel wired with connect())
+   * @param {Element|null} element - Element to observe; ignored when missing or without ResizeObserver support
+   */
+  watch(element) {
+    this.start();
+    if (element && this.observer) this.observer.observe(element);
+  },
+
+  /**
+   * @method viewportChanged
+   * @description Tells whether the viewport size or pixel ratio differs between two layouts
+   */
+  viewportChanged(layout, previous) {
+    return !previous ||
+      layout.viewport.width !== previous.viewport.width ||
+      layout.viewport.height !== previous.viewport.height ||
+      layout.viewport.dpr !== previous.viewport.dpr;
+  },
+
+  /**
+   * @method start
+   * @description Takes the first measurement and starts watching for layout changes (runs once)
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+    this.measure();
+
+    const invalidate = () => this.invalidate();
+    window.addEventListener('resize', invalidate);
+    window.addEventListener('orientationchange', invalidate);
+
+    // Catches CSS breakpoint changes and content changes that do not resize the window
+    if (window.ResizeObserver) {
+      this.observer = new ResizeObserver(invalidate);
+      Object.keys(window.LAYOUT_CONFIG.ANCHORS).forEach(name => {
+        this.watch(document.getElementById(window.LAYOUT_CONFIG.ANCHORS[name]));
+      });
+    }
+
+    // Web fonts change panel widths once they load
+    if (document.fonts && document.fonts.ready) {
+      document.fonts.ready.then(invalidate);
+    }
+  }
+};
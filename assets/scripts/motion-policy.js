@@ -0,0 +1,80 @@
+/**
+ * @module MotionPolicy
+ * @description Decides whether Shimti Multimedia's HUD may animate.
+ * Follows the prefers-reduced-motion media query (and its changes) unless the visitor set a manual override,
+ * mirrors the result on <html data-motion> for CSS and announces changes with a 'motionchange' event.
+ */
+
+/** @constant {Object} window.MOTION_CONFIG - Configuration for the motion policy */
+window.MOTION_CONFIG = {
+  MEDIA_QUERY: '(prefers-reduced-motion: reduce)',
+  STORAGE_KEY: 'shimti-motion', // localStorage key of the manual override ('reduce' or 'full')
+};
+
+/** @type {MediaQueryList|null} Reduced-motion media query, when supported */
+window.reducedMotionQuery = window.matchMedia ? window.matchMedia(window.MOTION_CONFIG.MEDIA_QUERY) : null;
+
+/** @type {string|null} Manual override: 'reduce', 'full' or null when the media query decides */
+window.motionOverride = (function() {
+  try {
+    const value = localStorage.getItem(window.MOTION_CONFIG.STORAGE_KEY);
+    return value === 'reduce' || value === 'full' ? value : null;
+  } catch (error) {
+    return null;
+  }
+})();
+
+/**
+ * @function window.prefersReducedMotion
+ * @description Tells whether animations should be reduced right now
+ * @returns {boolean} True when the override or the media query asks for reduced motion
+ */
+window.prefersReducedMotion = function() {
+  if (window.motionOverride) return window.motionOverride === 'reduce';
+  return !!(window.reducedMotionQuery && window.reducedMotionQuery.matches);
+};
+
+/**
+ * @function window.applyMotionPolicy
+ * @description Updates <html data-motion> and fires 'motionchange' when the effective policy changed
+ */
+window.applyMotionPolicy = function() {
+  const reduced = window.prefersReducedMotion();
+  const value = reduced ? 'reduced' : 'full';
+  if (document.documentElement.dataset.motion === value) return;
+  document.documentElement.dataset.motion = value;
+  window.dispatchEvent(new CustomEvent('motionchange', { detail: { reduced } }));
+};
+
+/**
+ * @function window.setMotionOverride
+ * @description Sets or clears the manual override and applies it immediately
+ * @param {string|null} value - 'reduce', 'full', or null to follow the media query again
+ */
+window.setMotionOverride = function(value) {
+  if (value !== null && value !== 'reduce' && value !== 'full') {
+    console.error('Invalid motion override:', value);
+    return;
+  }
+  window.motionOverride = value;
+  try {
+    if (value) {
+      localStorage.setItem(window.MOTION_CONFIG.STORAGE_KEY, value);
+    } else {
+      localStorage.removeItem(window.MOTION_CONFIG.STORAGE_KEY);
+    }
+  } catch (error) {
+    // Without storage the override still applies for this visit
+  }
+  window.applyMotionPolicy();
+};
+
+if (window.reducedMotionQuery) {
+  if (window.reducedMotionQuery.addEventListener) {
+    window.reducedMotionQuery.addEventListener('change', window.applyMotionPolicy);
+  } else if (window.reducedMotionQuery.addListener) {
+    window.reducedMotionQuery.addListener(window.applyMotionPolicy); // Safari < 14
+  }
+}
+
+window.applyMotionPolicy();
@@ -0,0 +1,68 @@
+/**
+ * @module NavigationLoader
+ * @description Loads the navigation manifest that lists the radial menu's items for Shimti Multimedia.
+ * Each entry has an id, a label, an icon, an href (an internal hash or an external URL, optionally opened in a new tab),
+ * a short description for the welcome panel, an optional disabled state or badge and an optional transition (the text
+ * effect of its preview, see text-transitions.js). Valid manifests replace MENU_CONFIG.NAVIGATION_LINKS; the menu and
+ * router rebuild on every 'navigationchange'.
+ */
+
+/** @constant {Object} window.NAVIGATION_CONFIG - Configuration for navigation manifest loading */
+window.NAVIGATION_CONFIG = {
+  MANIFEST_URL: 'assets/data/navigation.json', // Manifest (.json or .xml), kept next to languages.xml
+};
+
+/**
+ * @constant {Object} window.NAVIGATION_SCHEMA - Schema the navigation manifest is validated against.
+ * Entries use the same schema as the scene manifest's menu.NAVIGATION_LINKS.
+ */
+window.NAVIGATION_SCHEMA = {
+  type: 'object',
+  required: ['items'],
+  properties: {
+    version: { type: 'number' },
+    items: window.SCENE_SCHEMA.properties.menu.properties.NAVIGATION_LINKS
+  }
+};
+
+/**
+ * @function window.setNavigation
+ * @description Validates a navigation manifest, replaces the menu items with it and announces the change
+ * @param {Object} manifest - Parsed navigation manifest ({ items: [...] })
+ * @returns {Array<string>} Validation problems; the menu keeps its items when no valid entry is left
+ */
+window.setNavigation = function(manifest) {
+  const errors = [];
+  const navigation = window.validateScene(manifest, window.NAVIGATION_SCHEMA, 'navigation', errors);
+  if (!navigation) return errors;
+
+  window.MENU_CONFIG.NAVIGATION_LINKS = navigation.items;
+  window.dispatchEvent(new CustomEvent('navigationchange', { detail: { items: window.getNavigationItems() } }));
+  return errors;
+};
+
+/**
+ * @function window.loadNavigation
+ * @description Fetches the navigation manifest and applies it once the scene is ready (so it wins over the scene's
+ * menu.NAVIGATION_LINKS); the built-in or scene links stay when it is missing or invalid
+ * @param {string} [url] - Manifest URL (NAVIGATION_CONFIG.MANIFEST_URL when omitted)
+ * @returns {Promise<void>} Resolves once the menu items are settled
+ */
+window.loadNavigation = function(url) {
+  const manifestUrl = url || window.NAVIGATION_CONFIG.MANIFEST_URL;
+  const manifest = window.fetchManifest(manifestUrl, window.NAVIGATION_SCHEMA)
+    .catch(error => {
+      console.log(`Failed to load ${manifestUrl}, using built-in navigation links:`, error.message);
+      return null;
+    });
+
+  return Promise.all([manifest, window.sceneReady]).then(([data]) => {
+    if (!data) return;
+    const errors = window.setNavigation(data);
+    if (errors.length) console.warn(`Navigation ${manifestUrl} has problems; invalid entries are skipped:`, errors);
+    console.log('Using navigation:', manifestUrl, window.MENU_CONFIG.NAVIGATION_LINKS);
+  });
+};
+
+/** @constant {Promise<void>} window.navigationReady - Resolves once the menu items are settled; the menu and router build after it */
+window.navigationReady = window.loadNavigation();
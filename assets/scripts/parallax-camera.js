@@ -0,0 +1,163 @@
+/**
+ * @module ParallaxCamera
+ * @description Virtual camera for Shimti Multimedia's optional 3D background mode.
+ * Follows the pointer (or device tilt on phones), eases toward it on the shared animation clock, drifts slowly
+ * while the visitor is idle and then settles at the centre, so subscribers stop hearing from it. The grid renders a perspective floor or tunnel from it and particle depth bands shift by
+ * parallax; neither changes the particle data model.
+ */
+
+/** @constant {Object} window.CAMERA_CONFIG - Configuration for the 3D background mode */
+window.CAMERA_CONFIG = {
+  ENABLED: false, // Render the grid in perspective and offset particle depth bands by parallax
+  GRID_MODE: 'floor', // 'floor' recedes to a horizon; 'tunnel' recedes to a vanishing point on all four sides
+  HORIZON: 0.45, // Floor horizon as a fraction of the viewport height
+  DEPTH: 8, // How far the perspective grid recedes, in multiples of the nearest line's distance
+  GRID_ALPHA: 0.25, // Opacity of the nearest perspective grid lines
+  PARALLAX: 30, // Pixels a depth 1.0 layer shifts at full camera deflection
+  EASING: 0.04, // Fraction of the remaining distance the camera covers per 60 Hz frame
+  TILT_RANGE: 30, // Degrees of device tilt mapped to full deflection
+  IDLE_DELAY: 5000, // ms without input before the camera starts drifting
+  IDLE_AMPLITUDE: 0.3, // Deflection of the idle drift
+  IDLE_PERIOD: 24000, // ms for one idle drift loop
+  IDLE_LOOPS: 1, // Drift loops before the camera settles at the centre and stops moving (0 drifts until the next input)
+  FPS: 30, // Camera updates per second
+  REDRAW_STEP: 0.5, // Pixels the vanishing point must move before the perspective grid is redrawn
+};
+
+/**
+ * @namespace window.ParallaxCamera
+ * @description Eased camera deflection in the range -1..1 on each axis
+ */
+window.ParallaxCamera = {
+  /** @property {{x: number, y: number}} current - Eased deflection */
+  current: { x: 0, y: 0 },
+  /** @property {{x: number, y: number}} target - Deflection the camera eases toward */
+  target: { x: 0, y: 0 },
+  /** @property {boolean} enabled - Whether the 3D mode is on */
+  enabled: false,
+  subscribers: [],
+  lastInput: 0, // Clock time of the last input; the page start counts as one, so the idle drift plays once after loading
+  started: false,
+
+  /**
+   * @method subscribe
+   * @description Registers a camera callback; it runs immediately and whenever the camera moves or is toggled
+   * @param {function(Object): void} callback - Receives the camera
+   * @returns {function(): void} Unsubscribe function
+   */
+  subscribe(callback) {
+    this.start();
+    this.subscribers.push(callback);
+    callback(this);
+    return () => {
+      this.subscribers = this.subscribers.filter(subscriber => subscriber !== callback);
+    };
+  },
+
+  /**
+   * @method notify
+   * @description Hands the camera to every subscriber
+   */
+  notify() {
+    this.subscribers.forEach(callback => {
+      try {
+        callback(this);
+      } catch (error) {
+        console.error('Camera subscriber failed:', error);
+      }
+    });
+  },
+
+  /**
+   * @method setEnabled
+   * @description Turns the 3D mode on or off at runtime
+   * @param {boolean} enabled - Whether to render in perspective with parallax
+   */
+  setEnabled(enabled) {
+    this.enabled = !!enabled;
+    window.CAMERA_CONFIG.ENABLED = this.enabled;
+    if (!this.enabled) {
+      this.current = { x: 0, y: 0 };
+      this.target = { x: 0, y: 0 };
+    }
+    this.notify();
+  },
+
+  /**
+   * @method aim
+   * @description Points the camera from visitor input and resets the idle timer
+   * @param {number} x - Horizontal deflection (-1..1)
+   * @param {number} y - Vertical deflection (-1..1)
+   */
+  aim(x, y) {
+    const clamp = value => Math.max(-1, Math.min(1, value));
+    this.target = { x: clamp(x), y: clamp(y) };
+    this.lastInput = window.AnimationClock.time;
+  },
+
+  /**
+   * @method tick
+   * @description Picks the idle drift when there was no recent input, then eases toward the target; stops notifying
+   * once the camera has settled
+   * @param {number} delta - Clock ms since the last frame
+   * @param {number} time - Clock time in ms
+   */
+  tick(delta, time) {
+    if (!this.enabled) return;
+    const config = window.CAMERA_CONFIG;
+    let target = this.target;
+    if (window.prefersReducedMotion()) {
+      target = { x: 0, y: 0 };
+    } else if (time - this.lastInput > config.IDLE_DELAY) {
+      // The loop starts and ends at the centre, where the camera then rests
+      const idle = time - this.lastInput - config.IDLE_DELAY;
+      const drifting = !config.IDLE_LOOPS || idle < config.IDLE_LOOPS * config.IDLE_PERIOD;
+      const phase = 2 * Math.PI * idle / config.IDLE_PERIOD;
+      target = drifting ? { x: config.IDLE_AMPLITUDE * Math.sin(phase), y: config.IDLE_AMPLITUDE * 0.5 * Math.sin(2 * phase) } : { x: 0, y: 0 };
+    }
+
+    // Frame-rate independent easing
+    const ease = 1 - Math.pow(1 - config.EASING, delta / (1000 / 60));
+    const x = this.current.x + (target.x - this.current.x) * ease;
+    const y = this.current.y + (target.y - this.current.y) * ease;
+    if (Math.abs(x - this.current.x) < 0.0005 && Math.abs(y - this.current.y) < 0.0005) return;
+    this.current = { x, y };
+    this.notify();
+  },
+
+  /**
+   * @method start
+   * @description Listens for pointer and device orientation input and starts easing (runs once)
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+    this.enabled = !!window.CAMERA_CONFIG.ENABLED;
+
+    window.addEventListener('pointermove', event => {
+      if (event.pointerType === 'touch') return; // Phones steer with tilt instead
+      this.aim(event.clientX / window.innerWidth * 2 - 1, event.clientY / window.innerHeight * 2 - 1);
+    }, { passive: true });
+
+    window.addEventListener('deviceorientation', event => {
+      if (event.gamma === null || event.beta === null) return;
+      const range = window.CAMERA_CONFIG.TILT_RANGE;
+      // Phones are usually held tilted about 45° toward the viewer
+      this.aim(event.gamma / range, (event.beta - 45) / range);
+    });
+
+    // iOS only delivers orientation after the visitor grants it from a gesture
+    if (window.DeviceOrientationEvent && typeof window.DeviceOrientationEvent.requestPermission === 'function') {
+      let permissionRequested = false;
+      window.addEventListener('pointerdown', event => {
+        if (permissionRequested || !this.enabled || event.pointerType !== 'touch') return;
+        permissionRequested = true;
+        window.DeviceOrientationEvent.requestPermission().catch(error => {
+          console.log('Device orientation unavailable:', error.message);
+        });
+      });
+    }
+
+    window.AnimationClock.register((delta, time) => this.tick(delta, time), { fps: window.CAMERA_CONFIG.FPS });
+  }
+};
@@ -1,17 +1,48 @@
 /**
  * @module ParticleSystem
  * @description Manages particle animations (neural-like dots with trails) for Shimti Multimedia.
- * Optimized for main-thread rendering at 30 FPS, compatible with Brave browser.
+ * Runs in a particle worker (particle-worker.js) when OffscreenCanvas is available, otherwise on the main thread at 30 FPS.
+ * Only depends on `window` globals, which the worker aliases to its own scope.
  */
 
 /** @constant {Object} window.PARTICLE_CONFIG - Configuration for particle animations */
 window.PARTICLE_CONFIG = {
   MAX_PARTICLES: 30, // Number of particles
+  SPEED_MULTIPLIER: 1, // Scales every particle's base speed
   TURN_PROBABILITY: 0.01, // Probability of direction change
   DIRECTION_ANGLES: [0, Math.PI / 2, Math.PI, 3 * Math.PI / 2], // Cardinal movement angles
-  STROKE_COLOR: 'rgba(180, 220, 255, {alpha})', // Trail color
-  SHADOW_COLOR: '#8cf', // Particle shadow
-  FILL_COLOR: 'rgba(234, 255, 255, {depth})', // Particle fill
+  STROKE_COLOR: 'rgba(var(--hud-accent-rgb), {alpha})', // Trail color
+  SHADOW_COLOR: 'var(--hud-glow)', // Particle shadow
+  FILL_COLOR: 'rgba(var(--hud-core-rgb), {depth})', // Particle fill
+  INTERACTION_MODE: 'attract', // Pointer effect: 'attract', 'repel' or 'none'
+  POINTER_RADIUS: 160, // Reach of the pointer in pixels
+  POINTER_STRENGTH: 0.4, // Pointer push per frame at zero distance, before depth scaling
+  OBSTACLE_MARGIN: 24, // Extra clearance kept around the radial menu disc
+  OBSTACLE_STRENGTH: 0.8, // Push per frame out of the menu disc, before depth scaling
+  SHOCKWAVE_SPEED: 12, // Shockwave growth in pixels per frame
+  SHOCKWAVE_WIDTH: 60, // Thickness of the shockwave front
+  SHOCKWAVE_STRENGTH: 5, // Push per frame at the centre of the front, before depth scaling
+  SHOCKWAVE_MAX_RADIUS: 900, // Shockwaves fade out past this radius
+  PUSH_DAMPING: 0.9, // Fraction of the accumulated push kept each frame
+  TRAIL_ALPHA_STEPS: 6, // Opacity steps trails are batched into when the quality tier batches trails
+  MOVEMENT_MODE: 'free', // 'free' wanders anywhere; 'circuit' rides the background grid lines like data packets
+  CIRCUIT_TURN_PROBABILITY: 0.3, // Chance of turning at an intersection in circuit mode
+  CIRCUIT_TARGET_BIAS: 0.5, // Chance of heading toward the target (when one is set) at an intersection
+  CIRCUIT_ROUTE_TO_MENU: true, // Route packets toward the radial menu centre, where they are absorbed
+  CIRCUIT_GLOW_FRAMES: 40, // Frames a crossed grid segment stays lit
+  CIRCUIT_GLOW_ALPHA: 0.45, // Opacity of a freshly lit segment
+  CIRCUIT_GLOW_COLOR: 'rgba(var(--hud-grid-rgb), {alpha})', // Lit segment color
+};
+
+/** @constant {Object} window.PARTICLE_LINK_CONFIG - Configuration for neural links between nearby particles */
+window.PARTICLE_LINK_CONFIG = {
+  ENABLED: false, // Draw links between particles closer than MAX_DISTANCE
+  MAX_DISTANCE: 110, // Link range in pixels (also the spatial hash cell size)
+  MAX_ALPHA: 0.35, // Opacity of a link between touching particles in the nearest layer
+  MAX_LINKS: 6, // Links drawn per particle, to cap cost in dense clusters
+  LINE_WIDTH: 0.6, // Link width at depth 1.0
+  ALPHA_STEPS: 8, // Links are batched into this many opacity steps, one stroke each
+  COLOR: 'rgba(var(--hud-accent-rgb), {alpha})', // Link color
 };
 
 /**
@@ -39,9 +70,12 @@ window.Particle = class {
     this.x = Math.random() * this.width;
     this.y = Math.random() * this.height;
     this.setRandomDirection();
-    this.baseSpeed = (0.5 + Math.random() * (Math.random() < 0.2 ? 4.0 : 1.2)) * this.depth;
+    this.baseSpeed = (0.5 + Math.random() * (Math.random() < 0.2 ? 4.0 : 1.2)) * this.depth * window.PARTICLE_CONFIG.SPEED_MULTIPLIER;
     this.speed = this.baseSpeed;
     this.size = (0.5 + Math.random() * 1.2) * this.depth;
+    this.pushX = 0;
+    this.pushY = 0;
+    this.onCircuit = false;
     this.trail = [];
     this.maxTrailLength = Math.floor(Math.random() * 20) + 2;
     this.fadeCounter = 0;
@@ -63,15 +97,92 @@ window.Particle = class {
     }
   }
 
-  /** @method update - Updates particle position and trail */
-  update() {
-    this.maybeTurn();
-    this.trail.push({ x: this.x, y: this.y });
-    if (this.trail.length > this.maxTrailLength) {
-      this.trail.shift();
+  /**
+   * @method steerAroundObstacle - Heading into the disc: turns onto the cardinal direction that skirts around it
+   * @param {{x: number, y: number, radius: number}|null} obstacle - Menu disc
+   * @param {number} [tolerance=0.7] - How directly the particle must head at the centre to turn (1 = straight at it, 0 = any inward heading)
+   */
+  steerAroundObstacle(obstacle, tolerance = 0.7) {
+    if (!obstacle) return;
+    const angles = window.PARTICLE_CONFIG.DIRECTION_ANGLES;
+    const dx = this.x - obstacle.x;
+    const dy = this.y - obstacle.y;
+    const distance = Math.hypot(dx, dy) || 1;
+    if (distance >= obstacle.radius + window.PARTICLE_CONFIG.OBSTACLE_MARGIN) return;
+    if (Math.cos(this.angle) * dx + Math.sin(this.angle) * dy < -tolerance * distance) {
+      const index = angles.indexOf(this.angle);
+      const turn = Math.cos(this.angle) * dy - Math.sin(this.angle) * dx > 0 ? 1 : -1;
+      this.angle = angles[(index + turn + angles.length) % angles.length];
+    }
+  }
+
+  /**
+   * @method interact - Accumulates pushes from the pointer, the menu obstacle and shockwaves, scaled by depth
+   * @param {ParticleInteraction} interaction - Current interaction field
+   * @param {boolean} [steer=true] - Turn away from the obstacle here; circuit packets only turn at intersections
+   */
+  interact(interaction, steer = true) {
+    const config = window.PARTICLE_CONFIG;
+    let forceX = 0;
+    let forceY = 0;
+
+    const pointer = interaction.pointer;
+    if (pointer && config.INTERACTION_MODE !== 'none') {
+      const dx = pointer.x - this.x;
+      const dy = pointer.y - this.y;
+      const distance = Math.hypot(dx, dy);
+      if (distance > 1 && distance < config.POINTER_RADIUS) {
+        const force = config.POINTER_STRENGTH * (1 - distance / config.POINTER_RADIUS) * (config.INTERACTION_MODE === 'repel' ? -1 : 1);
+        forceX += dx / distance * force;
+        forceY += dy / distance * force;
+      }
+    }
+
+    const obstacle = interaction.obstacle;
+    if (obstacle) {
+      const dx = this.x - obstacle.x;
+      const dy = this.y - obstacle.y;
+      const distance = Math.hypot(dx, dy) || 1;
+      const clearance = obstacle.radius + config.OBSTACLE_MARGIN;
+      if (distance < clearance) {
+        const force = config.OBSTACLE_STRENGTH * (1 - distance / clearance);
+        forceX += dx / distance * force;
+        forceY += dy / distance * force;
+        if (steer) this.steerAroundObstacle(obstacle);
+      }
+    }
+
+    interaction.shockwaves.forEach(wave => {
+      const dx = this.x - wave.x;
+      const dy = this.y - wave.y;
+      const distance = Math.hypot(dx, dy) || 1;
+      const offset = Math.abs(distance - wave.radius);
+      if (offset < config.SHOCKWAVE_WIDTH) {
+        const force = config.SHOCKWAVE_STRENGTH * (1 - offset / config.SHOCKWAVE_WIDTH) * wave.strength;
+        forceX += dx / distance * force;
+        forceY += dy / distance * force;
+      }
+    });
+
+    this.pushX = (this.pushX + forceX * this.depth) * config.PUSH_DAMPING;
+    this.pushY = (this.pushY + forceY * this.depth) * config.PUSH_DAMPING;
+  }
+
+  /**
+   * @method update - Updates particle position and trail
+   * @param {ParticleInteraction} [interaction] - Pointer, obstacle and shockwaves acting on the particle
+   */
+  update(interaction) {
+    if (interaction && interaction.circuit) {
+      this.updateCircuit(interaction);
+    } else {
+      this.onCircuit = false;
+      this.maybeTurn();
+      if (interaction) this.interact(interaction);
+      this.recordTrail();
+      this.x += Math.cos(this.angle) * this.speed + this.pushX;
+      this.y += Math.sin(this.angle) * this.speed + this.pushY;
     }
-    this.x += Math.cos(this.angle) * this.speed;
-    this.y += Math.sin(this.angle) * this.speed;
 
     this.fadeCounter++;
     if (
@@ -85,28 +196,470 @@ window.Particle = class {
     }
   }
 
+  /** @method recordTrail - Adds the current position to the trail, trimmed to the quality tier's length */
+  recordTrail() {
+    this.trail.push({ x: this.x, y: this.y });
+    const maxTrailLength = Math.max(2, Math.round(this.maxTrailLength * window.Particle.quality.trailScale));
+    while (this.trail.length > maxTrailLength) {
+      this.trail.shift();
+    }
+  }
+
+  /**
+   * @method updateCircuit - Moves along a grid line, turning only at intersections and lighting each segment it completes.
+   * Pushes only act along the line so packets never leave the grid.
+   * @param {ParticleInteraction} interaction - Interaction field with circuit settings
+   */
+  updateCircuit(interaction) {
+    const spacing = interaction.circuit.spacing;
+    const dirX = Math.round(Math.cos(this.angle));
+    const dirY = Math.round(Math.sin(this.angle));
+
+    if (!this.onCircuit) {
+      // Snap onto the nearest line running in the travel direction
+      if (dirX) {
+        this.y = Math.round(this.y / spacing) * spacing;
+      } else {
+        this.x = Math.round(this.x / spacing) * spacing;
+      }
+      this.trail = [];
+      this.onCircuit = true;
+    }
+
+    const target = interaction.target;
+    if (target && Math.hypot(target.x - this.x, target.y - this.y) < target.radius) {
+      this.reset(); // Delivered
+      return;
+    }
+
+    this.interact(interaction, false);
+    this.recordTrail();
+
+    const direction = dirX || dirY;
+    const before = dirX ? this.x : this.y;
+    const after = before + direction * Math.max(0, this.speed + this.pushX * dirX + this.pushY * dirY);
+    // Grid lines sit at multiples of spacing; round toward the travel direction so leaving an intersection is not a crossing
+    const lineIndex = value => direction > 0 ? Math.floor(value / spacing) : Math.ceil(value / spacing);
+
+    if (lineIndex(before) === lineIndex(after)) {
+      if (dirX) this.x = after; else this.y = after;
+      return;
+    }
+
+    const line = lineIndex(after) * spacing;
+    if (dirX) {
+      this.x = line;
+      interaction.circuit.light(line - direction * spacing, this.y, line, this.y);
+    } else {
+      this.y = line;
+      interaction.circuit.light(this.x, line - direction * spacing, this.x, line);
+    }
+    this.chooseCircuitDirection(target, interaction.obstacle);
+  }
+
+  /**
+   * @method chooseCircuitDirection - Picks the next direction at an intersection (never straight back), turning away
+   * from the menu disc when it lies ahead
+   * @param {{x: number, y: number}|null} target - Point packets are routed toward
+   * @param {{x: number, y: number, radius: number}|null} [obstacle] - Menu disc
+   */
+  chooseCircuitDirection(target, obstacle) {
+    const config = window.PARTICLE_CONFIG;
+    const angles = config.DIRECTION_ANGLES;
+    const index = angles.indexOf(this.angle);
+    const reverse = (index + 2) % angles.length;
+
+    if (target && Math.random() < config.CIRCUIT_TARGET_BIAS) {
+      // DIRECTION_ANGLES order: right, down, left, up
+      const dx = target.x - this.x;
+      const dy = target.y - this.y;
+      const horizontal = dx > 0 ? 0 : 2;
+      const vertical = dy > 0 ? 1 : 3;
+      const preferred = Math.abs(dx) > Math.abs(dy) ? [horizontal, vertical] : [vertical, horizontal];
+      const next = preferred.find(candidate => candidate !== reverse);
+      this.angle = angles[next];
+    } else if (Math.random() < config.CIRCUIT_TURN_PROBABILITY) {
+      const turn = Math.random() < 0.5 ? -1 : 1;
+      this.angle = angles[(index + turn + angles.length) % angles.length];
+    }
+    // Packets can only turn here, so any inward heading counts
+    this.steerAroundObstacle(obstacle, 0);
+  }
+
   /**
    * @method draw - Renders particle and trail
    * @param {CanvasRenderingContext2D} ctx - Canvas context
    */
   draw(ctx) {
+    this.drawTrail(ctx);
+    this.drawDot(ctx);
+  }
+
+  /**
+   * @method drawTrail - Renders the trail, one stroke per segment
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   */
+  drawTrail(ctx) {
+    const colors = window.Particle.colors || window.Particle.resolveColors();
     for (let i = 0; i < this.trail.length - 1; i++) {
       const p1 = this.trail[i];
       const p2 = this.trail[i + 1];
       const alpha = (i / this.trail.length) * this.depth * 0.3;
-      ctx.strokeStyle = window.PARTICLE_CONFIG.STROKE_COLOR.replace('{alpha}', alpha);
+      ctx.strokeStyle = colors.stroke.replace('{alpha}', alpha);
       ctx.lineWidth = 0.5 * this.depth;
       ctx.beginPath();
       ctx.moveTo(p1.x, p1.y);
       ctx.lineTo(p2.x, p2.y);
       ctx.stroke();
     }
+  }
 
-    ctx.shadowBlur = 1.5 * this.depth;
-    ctx.shadowColor = window.PARTICLE_CONFIG.SHADOW_COLOR;
-    ctx.fillStyle = window.PARTICLE_CONFIG.FILL_COLOR.replace('{depth}', this.depth);
+  /**
+   * @method drawDot - Renders the particle itself
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   */
+  drawDot(ctx) {
+    const colors = window.Particle.colors || window.Particle.resolveColors();
+    ctx.shadowBlur = window.Particle.quality.shadows ? 1.5 * this.depth : 0;
+    ctx.shadowColor = colors.shadow;
+    ctx.fillStyle = colors.fill.replace('{depth}', this.depth);
     ctx.beginPath();
     ctx.arc(this.x, this.y, this.size, 0, Math.PI * 2);
     ctx.fill();
   }
 };
+
+/**
+ * @typedef {Object} ParticleQuality
+ * @property {number} particleScale - Fraction of each depth band that is simulated and drawn
+ * @property {boolean} shadows - Whether particles get a shadowBlur glow
+ * @property {number} trailScale - Fraction of each particle's maximum trail length that is kept
+ * @property {boolean} batchTrails - Whether trails are drawn in batches by opacity step instead of one stroke per segment
+ * @property {boolean} links - Whether neural links may be drawn (when PARTICLE_LINK_CONFIG.ENABLED)
+ */
+
+/** @property {ParticleQuality} window.Particle.quality - Current quality settings, set through ParticleField.setQuality */
+window.Particle.quality = { particleScale: 1, shadows: true, trailScale: 1, batchTrails: false, links: true };
+
+/** @property {Object|null} window.Particle.colors - Particle and link colours with theme references resolved; null until first draw */
+window.Particle.colors = null;
+
+/**
+ * @method window.Particle.resolveColors
+ * @description Resolves var() theme references in PARTICLE_CONFIG and PARTICLE_LINK_CONFIG colours, which canvas cannot read
+ * @returns {{stroke: string, shadow: string, fill: string, link: string, circuit: string}} Resolved colour templates
+ */
+window.Particle.resolveColors = function () {
+  const resolve = window.resolveThemeColor || (color => color);
+  window.Particle.colors = {
+    stroke: resolve(window.PARTICLE_CONFIG.STROKE_COLOR),
+    shadow: resolve(window.PARTICLE_CONFIG.SHADOW_COLOR),
+    fill: resolve(window.PARTICLE_CONFIG.FILL_COLOR),
+    link: resolve(window.PARTICLE_LINK_CONFIG.COLOR),
+    circuit: resolve(window.PARTICLE_CONFIG.CIRCUIT_GLOW_COLOR),
+  };
+  return window.Particle.colors;
+};
+
+/**
+ * @typedef {Object} ParticleInteraction
+ * @property {{x: number, y: number}|null} pointer - Cursor or touch point in CSS pixels
+ * @property {{x: number, y: number, radius: number}|null} obstacle - Radial menu disc particles steer around
+ * @property {Array<{x: number, y: number, radius: number, strength: number}>} shockwaves - Expanding click shockwaves
+ * @property {{x: number, y: number, radius: number}|null} target - Point circuit packets are routed toward and absorbed within radius
+ * @property {{spacing: number, light: function(number, number, number, number): void}|null} circuit - Grid settings in circuit mode
+ */
+
+/**
+ * @class ParticleField
+ * @description The full particle population across depth bands, shared by the main-thread and worker renderers.
+ */
+window.ParticleField = class {
+  /**
+   * @param {number} width - Canvas width in CSS pixels
+   * @param {number} height - Canvas height in CSS pixels
+   */
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.particles = [];
+    this.linkIndex = new window.SpatialHash(window.PARTICLE_LINK_CONFIG.MAX_DISTANCE);
+    /** @type {ParticleInteraction} */
+    this.interaction = { pointer: null, obstacle: null, shockwaves: [], target: null, circuit: null };
+    this.gridSpacing = null;
+    this.litSegments = new Map(); // "x1,y1,x2,y2" -> remaining glow (1 to 0)
+    this.parallax = { x: 0, y: 0 }; // Screen offset of a depth 1.0 layer in the 3D mode (parallax-camera.js)
+
+    let particleId = 0;
+    for (let depth = 0.3; depth <= 1.0; depth += 0.2) {
+      const count = Math.floor(window.PARTICLE_CONFIG.MAX_PARTICLES * depth);
+      for (let i = 0; i < count; i++) {
+        const particle = new window.Particle(depth, particleId, width, height);
+        particle.bandRank = i / count; // Position within its depth band, so quality tiers thin every band evenly
+        this.particles.push(particle);
+        particleId++;
+      }
+    }
+    this.setQuality(window.Particle.quality);
+  }
+
+  /**
+   * @method setQuality - Applies quality settings and picks the particles that stay active
+   * @param {ParticleQuality} quality - Quality settings
+   */
+  setQuality(quality) {
+    window.Particle.quality = quality;
+    this.active = this.particles.filter(particle => particle.bandRank < quality.particleScale);
+  }
+
+  /**
+   * @method resize - Updates the bounds particles move in
+   * @param {number} width - Canvas width in CSS pixels
+   * @param {number} height - Canvas height in CSS pixels
+   */
+  resize(width, height) {
+    this.width = width;
+    this.height = height;
+    this.particles.forEach(particle => {
+      particle.width = width;
+      particle.height = height;
+    });
+  }
+
+  /**
+   * @method setPointer - Moves or removes the pointer particles react to
+   * @param {{x: number, y: number}|null} pointer - Point in CSS pixels, or null when the pointer left
+   */
+  setPointer(pointer) {
+    this.interaction.pointer = pointer;
+  }
+
+  /**
+   * @method setObstacle - Sets the disc particles steer around
+   * @param {{x: number, y: number, radius: number}|null} obstacle - Disc in CSS pixels, or null for none
+   */
+  setObstacle(obstacle) {
+    this.interaction.obstacle = obstacle;
+  }
+
+  /**
+   * @method setTarget - Sets the point circuit packets are routed toward
+   * @param {{x: number, y: number, radius: number}|null} target - Point in CSS pixels and absorption radius, or null
+   */
+  setTarget(target) {
+    this.interaction.target = target;
+  }
+
+  /**
+   * @method setGridSpacing - Aligns circuit mode with the background grid
+   * @param {number} spacing - GRID_CONFIG.GRID_SPACING in CSS pixels, or 0 while no flat grid is drawn (3D mode), which
+   * turns circuit routing off
+   */
+  setGridSpacing(spacing) {
+    this.gridSpacing = spacing;
+  }
+
+  /**
+   * @method setParallax - Offsets depth bands for the 3D mode; a band shifts by the offset times its depth
+   * @param {number} x - Horizontal offset of a depth 1.0 layer in CSS pixels
+   * @param {number} y - Vertical offset of a depth 1.0 layer in CSS pixels
+   */
+  setParallax(x, y) {
+    this.parallax = { x, y };
+  }
+
+  /**
+   * @method withParallax - Runs drawing code shifted by a depth band's parallax offset
+   * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - Canvas context
+   * @param {number} depth - Depth of what is drawn
+   * @param {function(): void} draw - Drawing code
+   */
+  withParallax(ctx, depth, draw) {
+    const dx = this.parallax.x * depth;
+    const dy = this.parallax.y * depth;
+    if (!dx && !dy) {
+      draw();
+      return;
+    }
+    ctx.translate(dx, dy);
+    draw();
+    ctx.translate(-dx, -dy);
+  }
+
+  /**
+   * @method lightSegment - Lights a grid segment crossed by a packet
+   * @param {number} x1 - Start in CSS pixels
+   * @param {number} y1 - Start in CSS pixels
+   * @param {number} x2 - End in CSS pixels
+   * @param {number} y2 - End in CSS pixels
+   */
+  lightSegment(x1, y1, x2, y2) {
+    const key = x1 < x2 || y1 < y2 ? `${x1},${y1},${x2},${y2}` : `${x2},${y2},${x1},${y1}`;
+    this.litSegments.set(key, 1);
+  }
+
+  /**
+   * @method addShockwave - Starts a shockwave expanding from a point
+   * @param {number} x - Origin in CSS pixels
+   * @param {number} y - Origin in CSS pixels
+   */
+  addShockwave(x, y) {
+    this.interaction.shockwaves.push({ x, y, radius: 0, strength: 1 });
+  }
+
+  /**
+   * @method step - Advances shockwaves and every particle
+   * @param {number} [count=1] - Number of updates, e.g. to give a frozen field trails
+   */
+  step(count = 1) {
+    const config = window.PARTICLE_CONFIG;
+    this.interaction.circuit = config.MOVEMENT_MODE === 'circuit' && this.gridSpacing
+      ? { spacing: this.gridSpacing, light: (x1, y1, x2, y2) => this.lightSegment(x1, y1, x2, y2) }
+      : null;
+    for (let i = 0; i < count; i++) {
+      this.litSegments.forEach((glow, key) => {
+        const remaining = glow - 1 / config.CIRCUIT_GLOW_FRAMES;
+        if (remaining > 0) {
+          this.litSegments.set(key, remaining);
+        } else {
+          this.litSegments.delete(key);
+        }
+      });
+      this.interaction.shockwaves = this.interaction.shockwaves.filter(wave => {
+        wave.radius += config.SHOCKWAVE_SPEED;
+        wave.strength = 1 - wave.radius / config.SHOCKWAVE_MAX_RADIUS;
+        return wave.strength > 0;
+      });
+      this.active.forEach(particle => particle.update(this.interaction));
+    }
+  }
+
+  /**
+   * @method drawLinks - Renders fading links between nearby particles, found through the spatial hash.
+   * Opacity falls off with distance and with the depth of the farther particle; links are batched by opacity step.
+   * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - Canvas context
+   */
+  drawLinks(ctx) {
+    const config = window.PARTICLE_LINK_CONFIG;
+    const maxDistance = config.MAX_DISTANCE;
+    const steps = Math.max(1, Math.round(config.ALPHA_STEPS));
+    const batches = Array.from({ length: steps }, () => []);
+
+    if (this.linkIndex.cellSize !== maxDistance) this.linkIndex = new window.SpatialHash(maxDistance);
+    this.linkIndex.clear();
+    this.active.forEach(particle => this.linkIndex.insert(particle, particle.x, particle.y));
+
+    this.active.forEach(particle => {
+      let links = 0;
+      this.linkIndex.query(particle.x, particle.y, maxDistance, other => {
+        // Each pair is visited from both ends; draw it once, from the lower id
+        if (other.id <= particle.id || links >= config.MAX_LINKS) return;
+        const distance = Math.hypot(other.x - particle.x, other.y - particle.y);
+        if (distance >= maxDistance) return;
+        const strength = (1 - distance / maxDistance) * Math.min(particle.depth, other.depth);
+        const step = Math.min(steps - 1, Math.floor(strength * steps));
+        // Each end follows its own depth band's parallax
+        batches[step].push(
+          particle.x + this.parallax.x * particle.depth, particle.y + this.parallax.y * particle.depth,
+          other.x + this.parallax.x * other.depth, other.y + this.parallax.y * other.depth
+        );
+        links++;
+      });
+    });
+
+    const colors = window.Particle.colors || window.Particle.resolveColors();
+    ctx.lineWidth = config.LINE_WIDTH;
+    batches.forEach((segments, step) => {
+      if (!segments.length) return;
+      ctx.strokeStyle = colors.link.replace('{alpha}', ((step + 1) / steps) * config.MAX_ALPHA);
+      ctx.beginPath();
+      for (let i = 0; i < segments.length; i += 4) {
+        ctx.moveTo(segments[i], segments[i + 1]);
+        ctx.lineTo(segments[i + 2], segments[i + 3]);
+      }
+      ctx.stroke();
+    });
+  }
+
+  /**
+   * @method drawLitSegments - Renders glowing grid segments, batched by opacity step
+   * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - Canvas context
+   */
+  drawLitSegments(ctx) {
+    const steps = Math.max(1, Math.round(window.PARTICLE_CONFIG.TRAIL_ALPHA_STEPS));
+    const batches = Array.from({ length: steps }, () => []);
+    this.litSegments.forEach((glow, key) => {
+      batches[Math.min(steps - 1, Math.floor(glow * steps))].push(key.split(',').map(Number));
+    });
+
+    const colors = window.Particle.colors || window.Particle.resolveColors();
+    ctx.lineWidth = 1;
+    batches.forEach((segments, step) => {
+      if (!segments.length) return;
+      ctx.strokeStyle = colors.circuit.replace('{alpha}', ((step + 1) / steps) * window.PARTICLE_CONFIG.CIRCUIT_GLOW_ALPHA);
+      ctx.beginPath();
+      segments.forEach(([x1, y1, x2, y2]) => {
+        ctx.moveTo(x1, y1);
+        ctx.lineTo(x2, y2);
+      });
+      ctx.stroke();
+    });
+  }
+
+  /**
+   * @method drawTrails - Renders every trail with one stroke per depth band and opacity step
+   * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - Canvas context
+   */
+  drawTrails(ctx) {
+    const steps = Math.max(1, Math.round(window.PARTICLE_CONFIG.TRAIL_ALPHA_STEPS));
+    const batches = new Map();
+
+    this.active.forEach(particle => {
+      let bands = batches.get(particle.depth);
+      if (!bands) {
+        bands = Array.from({ length: steps }, () => []);
+        batches.set(particle.depth, bands);
+      }
+      const trail = particle.trail;
+      for (let i = 0; i < trail.length - 1; i++) {
+        bands[Math.min(steps - 1, Math.floor(i / trail.length * steps))].push(trail[i].x, trail[i].y, trail[i + 1].x, trail[i + 1].y);
+      }
+    });
+
+    const colors = window.Particle.colors || window.Particle.resolveColors();
+    batches.forEach((bands, depth) => {
+      ctx.lineWidth = 0.5 * depth;
+      this.withParallax(ctx, depth, () => bands.forEach((segments, step) => {
+        if (!segments.length) return;
+        ctx.strokeStyle = colors.stroke.replace('{alpha}', ((step + 0.5) / steps) * depth * 0.3);
+        ctx.beginPath();
+        for (let i = 0; i < segments.length; i += 4) {
+          ctx.moveTo(segments[i], segments[i + 1]);
+          ctx.lineTo(segments[i + 2], segments[i + 3]);
+        }
+        ctx.stroke();
+      }));
+    });
+  }
+
+  /**
+   * @method draw - Clears the canvas and renders lit circuit segments, links (when enabled) and every active particle
+   * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - Canvas context
+   */
+  draw(ctx) {
+    const quality = window.Particle.quality;
+    ctx.clearRect(0, 0, this.width, this.height);
+    if (this.litSegments.size) this.drawLitSegments(ctx);
+    if (window.PARTICLE_LINK_CONFIG.ENABLED && quality.links) this.drawLinks(ctx);
+    if (quality.batchTrails) {
+      this.drawTrails(ctx);
+      this.active.forEach(particle => this.withParallax(ctx, particle.depth, () => particle.drawDot(ctx)));
+    } else {
+      this.active.forEach(particle => this.withParallax(ctx, particle.depth, () => particle.draw(ctx)));
+    }
+  }
+};
+
+window.addEventListener('themechange', () => {
+  window.Particle.colors = null;
+});
@@ -0,0 +1,164 @@
+/**
+ * @module ParticleWorker
+ * @description Runs Shimti Multimedia's particle simulation and rendering off the main thread.
+ * Receives #particleCanvas as an OffscreenCanvas from init-background.js, then follows its resize, colour, motion and
+ * clock messages so it pauses, slows down and recolours together with the rest of the HUD, and its pointer, obstacle,
+ * target, grid spacing, shockwave and parallax messages so particles react to the visitor, the layout and the 3D camera. Reports how long its frames take back to the quality governor.
+ */
+
+// particle-system.js reads its configuration from `window`
+self.window = self;
+importScripts('spatial-hash.js', 'particle-system.js', 'quality-governor.js');
+
+let canvas = null;
+let ctx = null;
+let field = null;
+let frameInterval = 1000 / 30;
+let maxFrameDelta = 100;
+let frozen = false;
+let running = true;
+let timeScale = 1;
+let frameRequested = false;
+let lastFrame = null;
+let elapsed = 0;
+
+const sampleFrame = window.QualityGovernor.createSampler(average => self.postMessage({ type: 'frameTime', average }));
+
+/** @function nextFrame - Worker requestAnimationFrame where supported, a 60 Hz timeout otherwise */
+const nextFrame = self.requestAnimationFrame
+  ? callback => self.requestAnimationFrame(callback)
+  : callback => setTimeout(() => callback(performance.now()), 1000 / 60);
+
+/** @function requestFrame - Keeps the loop going while particles move; lets it idle when frozen or paused */
+function requestFrame() {
+  if (frameRequested) return;
+  if (!field || frozen || !running) {
+    lastFrame = null;
+    return;
+  }
+  frameRequested = true;
+  nextFrame(frame);
+}
+
+/**
+ * @function frame - Advances particles at the target FPS, counted in scaled clock time like AnimationClock ticks
+ * @param {number} now - Frame timestamp
+ */
+function frame(now) {
+  frameRequested = false;
+  if (!field || frozen || !running) {
+    lastFrame = null;
+    return;
+  }
+
+  elapsed += (lastFrame === null ? 0 : Math.min(now - lastFrame, maxFrameDelta)) * timeScale;
+  lastFrame = now;
+  if (elapsed >= frameInterval) {
+    elapsed %= frameInterval;
+    const workStart = performance.now();
+    field.step();
+    field.draw(ctx);
+    sampleFrame(performance.now() - workStart, now);
+  }
+
+  requestFrame();
+}
+
+/**
+ * @function resize - Matches the canvas backing store to the viewport and device pixel ratio
+ * @param {{width: number, height: number, dpr: number}} data - Viewport size in CSS pixels and pixel ratio
+ */
+function resize(data) {
+  canvas.width = data.width * data.dpr;
+  canvas.height = data.height * data.dpr;
+  ctx.setTransform(data.dpr, 0, 0, data.dpr, 0, 0);
+  field.resize(data.width, data.height);
+  if (frozen) field.draw(ctx);
+}
+
+/** @constant {Object<string, function(Object): void>} handlers - Message handlers by message type */
+const handlers = {
+  init(data) {
+    canvas = data.canvas;
+    ctx = canvas.getContext('2d', { alpha: true });
+    Object.assign(window.PARTICLE_CONFIG, data.config);
+    Object.assign(window.PARTICLE_LINK_CONFIG, data.linkConfig);
+    window.Particle.colors = data.colors;
+    window.Particle.quality = data.quality;
+    frameInterval = 1000 / data.fps;
+    maxFrameDelta = data.maxFrameDelta;
+    frozen = data.frozen;
+    running = data.running;
+    timeScale = data.timeScale;
+
+    field = new window.ParticleField(data.width, data.height);
+    field.setGridSpacing(data.gridSpacing);
+    // Give a frozen field trails instead of bare dots
+    if (frozen) field.step(25);
+    resize(data);
+    requestFrame();
+  },
+
+  resize(data) {
+    if (!field) return;
+    resize(data);
+  },
+
+  colors(data) {
+    window.Particle.colors = data.colors;
+    if (field && frozen) field.draw(ctx);
+  },
+
+  motion(data) {
+    frozen = data.frozen;
+    if (field && frozen) field.draw(ctx);
+    requestFrame();
+  },
+
+  clock(data) {
+    running = data.running;
+    timeScale = data.timeScale;
+    requestFrame();
+  },
+
+  quality(data) {
+    if (!field) return;
+    field.setQuality(data.quality);
+    if (frozen) field.draw(ctx);
+  },
+
+  pointer(data) {
+    if (field) field.setPointer(data.pointer);
+  },
+
+  obstacle(data) {
+    if (field) field.setObstacle(data.obstacle);
+  },
+
+  target(data) {
+    if (field) field.setTarget(data.target);
+  },
+
+  gridSpacing(data) {
+    if (field) field.setGridSpacing(data.spacing);
+  },
+
+  parallax(data) {
+    if (!field) return;
+    field.setParallax(data.x, data.y);
+    if (frozen) field.draw(ctx);
+  },
+
+  shockwave(data) {
+    if (field) field.addShockwave(data.x, data.y);
+  }
+};
+
+self.addEventListener('message', event => {
+  const handler = handlers[event.data && event.data.type];
+  if (handler) {
+    handler(event.data);
+  } else {
+    console.error('Unknown particle worker message:', event.data);
+  }
+});
@@ -0,0 +1,170 @@
+/**
+ * @module QualityGovernor
+ * @description Adaptive quality for Shimti Multimedia's HUD.
+ * Measures how long each frame's work takes on the main thread (and in the particle worker, which reports its own), steps
+ * down through QUALITY_CONFIG.TIERS while that work runs long and back up once there is headroom again. Announces tier changes
+ * with a 'qualitychange' event and mirrors the ring setting on <html data-ring-motion> for CSS.
+ */
+
+/** @constant {Object} window.QUALITY_CONFIG - Configuration for the quality governor */
+window.QUALITY_CONFIG = {
+  // Best first; particle settings follow ParticleQuality (particle-system.js); gridFps caps perspective grid redraws
+  // while the 3D camera moves (0 holds the grid still)
+  TIERS: [
+    { name: 'high', particleScale: 1, shadows: true, trailScale: 1, batchTrails: false, links: true, ringRotation: true, gridFps: 30 },
+    { name: 'medium', particleScale: 0.75, shadows: false, trailScale: 1, batchTrails: true, links: true, ringRotation: true, gridFps: 20 },
+    { name: 'low', particleScale: 0.5, shadows: false, trailScale: 0.6, batchTrails: true, links: false, ringRotation: false, gridFps: 10 },
+    { name: 'minimal', particleScale: 0.25, shadows: false, trailScale: 0.4, batchTrails: true, links: false, ringRotation: false, gridFps: 0 },
+  ],
+  // Work is timed rather than the gap between frames, which only measures the display: 30 Hz screens and battery savers
+  // give 33 ms frames on an idle page
+  SAMPLE_PERIOD: 1000, // ms of frames averaged into one sample
+  DOWNGRADE_MS: 10, // Step down when the average frame's work exceeds this (with the browser's own rendering, a 60 Hz frame is full)
+  UPGRADE_MS: 5, // Step up when it stays below this...
+  UPGRADE_SAMPLES: 5, // ...for this many samples in a row
+  COOLDOWN_SAMPLES: 2, // Samples ignored at start-up and after a change, while the new tier settles
+  MAX_INTERVAL: 250, // Longer frames or gaps between frames are stalls (tab switch, debugger) rather than load, and are skipped
+};
+
+/**
+ * @namespace window.QualityGovernor
+ * @description Picks the quality tier from the measured work per frame
+ */
+window.QualityGovernor = {
+  /** @property {number} tierIndex - Index of the current tier in QUALITY_CONFIG.TIERS */
+  tierIndex: 0,
+  /** @property {number|null} pinnedIndex - Tier fixed by setTier(), or null while the governor decides */
+  pinnedIndex: null,
+  /** @property {Object<string, number>} averages - Latest average work per frame in ms by source ('main', 'worker') */
+  averages: {},
+  headroomSamples: 0,
+  cooldown: 0,
+  started: false,
+
+  /**
+   * @method getTier
+   * @description Returns the current tier, e.g. for logging during testing
+   * @returns {Object} Tier settings with its index, whether it is pinned and the latest frame averages
+   */
+  getTier() {
+    return Object.assign({
+      index: this.tierIndex,
+      pinned: this.pinnedIndex !== null,
+      averages: Object.assign({}, this.averages)
+    }, window.QUALITY_CONFIG.TIERS[this.tierIndex]);
+  },
+
+  /**
+   * @method setTier
+   * @description Pins a tier, or hands control back to the governor
+   * @param {string|number|null} tier - Tier name or index, or null to adapt automatically again
+   */
+  setTier(tier) {
+    if (tier === null) {
+      this.pinnedIndex = null;
+      return;
+    }
+    const tiers = window.QUALITY_CONFIG.TIERS;
+    const index = typeof tier === 'number' ? tier : tiers.findIndex(candidate => candidate.name === tier);
+    if (!tiers[index]) {
+      console.error('Unknown quality tier:', tier, tiers.map(candidate => candidate.name));
+      return;
+    }
+    this.pinnedIndex = index;
+    this.apply(index, 'pinned');
+  },
+
+  /**
+   * @method report
+   * @description Records the average frame work of one source and re-evaluates the tier
+   * @param {string} source - 'main' or 'worker'
+   * @param {number} average - Average work per frame in ms over the last sample period
+   */
+  report(source, average) {
+    this.averages[source] = average;
+    if (this.pinnedIndex !== null) return;
+    if (this.cooldown > 0) {
+      this.cooldown--;
+      return;
+    }
+
+    // The slowest thread decides
+    const worst = Math.max.apply(null, Object.keys(this.averages).map(key => this.averages[key]));
+    const config = window.QUALITY_CONFIG;
+    if (worst > config.DOWNGRADE_MS && this.tierIndex < config.TIERS.length - 1) {
+      this.headroomSamples = 0;
+      this.apply(this.tierIndex + 1, `${worst.toFixed(1)} ms of work per frame`);
+    } else if (worst < config.UPGRADE_MS && this.tierIndex > 0) {
+      this.headroomSamples++;
+      if (this.headroomSamples >= config.UPGRADE_SAMPLES) {
+        this.headroomSamples = 0;
+        this.apply(this.tierIndex - 1, `${worst.toFixed(1)} ms of work per frame`);
+      }
+    } else {
+      this.headroomSamples = 0;
+    }
+  },
+
+  /**
+   * @method apply
+   * @description Switches to a tier and notifies renderers
+   * @param {number} index - Tier index
+   * @param {string} reason - Logged with the change
+   */
+  apply(index, reason) {
+    if (index === this.tierIndex) return;
+    this.tierIndex = index;
+    this.cooldown = window.QUALITY_CONFIG.COOLDOWN_SAMPLES;
+    // Samples from the previous tier no longer describe the load
+    this.averages = {};
+    const tier = this.getTier();
+    document.documentElement.dataset.ringMotion = tier.ringRotation ? 'running' : 'paused';
+    console.log(`Quality tier: ${tier.name} (${reason})`);
+    window.dispatchEvent(new CustomEvent('qualitychange', { detail: { tier } }));
+  },
+
+  /**
+   * @method createSampler
+   * @description Creates a frame work accumulator that reports one average per sample period
+   * @param {function(number): void} onSample - Receives the average work per frame in ms
+   * @returns {function(number, number): void} Call with each frame's work in ms and its timestamp
+   */
+  createSampler(onSample) {
+    const config = window.QUALITY_CONFIG;
+    let periodStart = null;
+    let lastFrame = null;
+    let total = 0;
+    let frames = 0;
+    return (work, now) => {
+      // A stall starts a fresh sample period
+      if (lastFrame === null || now - lastFrame > config.MAX_INTERVAL) {
+        periodStart = now;
+        total = 0;
+        frames = 0;
+      }
+      lastFrame = now;
+      if (work > config.MAX_INTERVAL) return;
+      total += work;
+      frames++;
+      if (now - periodStart >= config.SAMPLE_PERIOD) {
+        onSample(total / frames);
+        periodStart = now;
+        total = 0;
+        frames = 0;
+      }
+    };
+  },
+
+  /**
+   * @method start
+   * @description Samples the work of main-thread frames on the shared clock (runs once)
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+    this.cooldown = window.QUALITY_CONFIG.COOLDOWN_SAMPLES;
+    document.documentElement.dataset.ringMotion = this.getTier().ringRotation ? 'running' : 'paused';
+    const sample = this.createSampler(average => this.report('main', average));
+    window.AnimationClock.observeFrames(sample);
+  }
+};
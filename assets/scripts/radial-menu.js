@@ -16,30 +16,51 @@ window.MENU_CONFIG = {
   GRID_SPACING: 20,
   PARTICLE_COUNT_MIN: 4,
   PARTICLE_COUNT_MAX: 12,
-  SECTOR_FILL: 'rgba(180, 220, 255, 0.08)',
-  STROKE_COLOR: '#fff',
+  SECTOR_FILL: 'rgba(var(--hud-accent-rgb), 0.08)',
+  STROKE_COLOR: 'var(--hud-stroke)',
+  GRADIENT_COLOR: 'rgb(var(--hud-accent-rgb))', // Stop colour of the background and holo-core gradients
+  INNER_FILL: 'rgba(var(--hud-accent-rgb), 0.06)',
+  CORE_FILL: 'rgba(var(--hud-core-rgb), 0.9)',
+  GRID_PARTICLE_FILL: 'rgba(var(--hud-core-rgb), 0.8)',
   INNER_CIRCLE_RADIUS: 58,
   INNER_FILLED_RADIUS: 48,
   CORE_RADIUS: 20,
   RING_RADII: [25, 30, 35],
-  NAVIGATION_LINKS: ['Contact', 'AI', 'Work', 'Media', 'Shop', 'About'],
+  // Built-in menu links, replaced by assets/data/navigation.json (see navigation-loader.js): labels, or entries
+  // { id, label, icon, href, newTab, description, disabled, badge, transition, children } where children open a sub-ring
+  NAVIGATION_LINKS: ['Contact', 'AI', 'Work', { label: 'Media', children: ['Video', 'Audio', 'Photo'] }, 'Shop', 'About'],
+  SUB_INNER_RADIUS: 196, // Sub-ring annulus, drawn around the wheel (the SVG overflows its viewBox)
+  SUB_OUTER_RADIUS: 250,
+  SUB_SECTOR_ANGLE: 36, // Degrees per sub-sector; the sub-ring is centred on its parent sector
+  SUB_RING_DURATION: 300, // Expand/collapse transition in ms (matches ui.css)
+  BADGE_OFFSET: 16, // Distance of a sector's badge inside its outer edge
+  SPIN_ENABLED: true, // Drag or arrow keys spin the wheel; it snaps one sector to the selector at the top
+  SELECTOR_ANGLE: 270, // Where the top connection line meets the wheel
+  SPIN_FRICTION: 0.94, // Velocity kept per 60 Hz frame after release
+  SPIN_SNAP_VELOCITY: 0.05, // Degrees per ms below which the coasting wheel starts snapping
+  SPIN_SNAP_EASING: 0.2, // Share of the remaining snap distance covered per 60 Hz frame
+  TAP_THRESHOLD: 6, // Pixels a pointer may move before a press becomes a drag
+  LONG_PRESS_DURATION: 500, // Ms a still press on a sector takes to confirm it
+  HAPTIC_PREVIEW: 10, // Vibration in ms when a tap previews a sector (where navigator.vibrate exists)
+  HAPTIC_CONFIRM: 25, // Vibration in ms when a tap or long-press confirms a sector
   WELCOME_INTERVAL: 8000,
+  PREVIEW_TRANSITION: 'decode', // Text transition of sector previews without their own (see text-transitions.js)
   PARTICLE_INTERVAL_MIN: 1000,
   PARTICLE_INTERVAL_MAX: 3000,
   BACKGROUND_RADIUS: 192,
   FALLBACK_LANGUAGES: [
-    { lang: 'English', text: 'Welcome' },
-    { lang: 'Spanish', text: 'Bienvenido' },
-    { lang: 'French', text: 'Bienvenue' },
-    { lang: 'German', text: 'Willkommen' },
-    { lang: 'Russian', text: 'Добро пожаловать' },
-    { lang: 'Mandarin', text: '欢迎' },
-    { lang: 'Japanese', text: 'ようこそ' },
-    { lang: 'Hindi', text: 'स्वागत है' },
-    { lang: 'Swahili', text: 'Karibu' },
-    { lang: 'Arabic', text: 'أهلاً' },
-    { lang: 'Portuguese', text: 'Bem-vindo' },
-    { lang: 'Yoruba', text: 'Kaabọ' }
+    { code: 'en', name: 'English', text: 'Welcome' },
+    { code: 'es', name: 'Spanish', text: 'Bienvenido' },
+    { code: 'fr', name: 'French', text: 'Bienvenue' },
+    { code: 'de', name: 'German', text: 'Willkommen' },
+    { code: 'ru', name: 'Russian', text: 'Добро пожаловать' },
+    { code: 'zh-Hans', name: 'Mandarin', text: '欢迎' },
+    { code: 'ja', name: 'Japanese', text: 'ようこそ' },
+    { code: 'hi', name: 'Hindi', text: 'स्वागत है' },
+    { code: 'sw', name: 'Swahili', text: 'Karibu' },
+    { code: 'ar', name: 'Arabic', text: 'أهلاً' },
+    { code: 'pt', name: 'Portuguese', text: 'Bem-vindo' },
+    { code: 'yo', name: 'Yoruba', text: 'Kaabọ' }
   ]
 };
 
@@ -55,45 +76,199 @@ window.polarToCartesian = function(cx, cy, r, angleDeg) {
   };
 };
 
+/**
+ * @function window.getNavigationItems
+ * @description Normalizes MENU_CONFIG.NAVIGATION_LINKS into menu items. Ids default to the label slug and hrefs to
+ * '#<id>' ('#<parent route>/<id>' for children); internal hrefs give the item its route, external ones leave it null.
+ * Top-level items without an icon use 'assets/images/<label>.svg'; children without one show their label.
+ * Labels and descriptions are translated into the current locale (see i18n.js).
+ * @returns {Array<Object>} Top-level items ({ id, label, icon, href, route, newTab, description, disabled, badge, transition, parent, children })
+ */
+window.getNavigationItems = function() {
+  var normalize = function(entry, parent) {
+    var link = typeof entry === 'string' ? { label: entry } : entry;
+    var id = link.id || link.label.trim().toLowerCase().replace(/\s+/g, '-');
+    var href = link.href || '#' + (link.route || (parent && parent.route ? parent.route + '/' + id : id));
+    var item = {
+      id: id,
+      label: window.translateItem('labels', id, link.label),
+      icon: link.icon || (parent ? null : 'assets/images/' + link.label + '.svg'),
+      href: href,
+      route: href.charAt(0) === '#' ? window.routeFromHash(href) : null,
+      newTab: !!link.newTab,
+      description: window.translateItem('descriptions', id, link.description || ''),
+      disabled: !!link.disabled,
+      badge: link.badge || '',
+      transition: link.transition || null,
+      parent: parent || null,
+      children: []
+    };
+    if (!parent && link.children) {
+      item.children = link.children.map(function(child) { return normalize(child, item); });
+    }
+    return item;
+  };
+  return window.MENU_CONFIG.NAVIGATION_LINKS.map(function(entry) { return normalize(entry, null); });
+};
+
+/**
+ * @function window.computeSectorPosition
+ * @description Computes the annulus corners, icon position and angles of a sector
+ * @param {number} start - Start angle in degrees (270 is the top of the wheel)
+ * @param {number} end - End angle in degrees
+ * @param {number} [innerRadius] - Inner radius (MENU_CONFIG.INNER_RADIUS when omitted)
+ * @param {number} [outerRadius] - Outer radius (MENU_CONFIG.OUTER_RADIUS when omitted)
+ * @returns {Object} Position accepted by createNavigationSector
+ */
+window.computeSectorPosition = function(start, end, innerRadius, outerRadius) {
+  var cx = window.MENU_CONFIG.CENTER_X, cy = window.MENU_CONFIG.CENTER_Y;
+  var inner = innerRadius || window.MENU_CONFIG.INNER_RADIUS;
+  var outer = outerRadius || window.MENU_CONFIG.OUTER_RADIUS;
+  var labelAngle = (start + end) / 2;
+  return {
+    p1: window.polarToCartesian(cx, cy, outer, end),
+    p2: window.polarToCartesian(cx, cy, outer, start),
+    p3: window.polarToCartesian(cx, cy, inner, start),
+    p4: window.polarToCartesian(cx, cy, inner, end),
+    iconPos: window.polarToCartesian(cx, cy, (inner + outer) / 2, labelAngle),
+    start: start,
+    end: end,
+    innerRadius: inner,
+    outerRadius: outer
+  };
+};
+
+/**
+ * @function window.labelSector
+ * @description Sets a sector's accessible name, description and visible text label from its menu item
+ * @param {SVGGElement} group - Sector group from createNavigationSector
+ * @param {Object} item - Menu item from getNavigationItems
+ */
+window.labelSector = function(group, item) {
+  group.setAttribute('aria-label', item.label + (item.badge ? ', ' + item.badge : '') + (item.newTab ? ' ' + window.t('opensInNewTab') : ''));
+  if (item.description) {
+    group.setAttribute('aria-description', item.description);
+  } else {
+    group.removeAttribute('aria-description');
+  }
+  group.dataset.label = item.label;
+  group.dataset.description = item.description || '';
+  var text = group.querySelector('.sector-label');
+  if (text) window.setLocalizedText(text, item.label, window.currentLocale);
+};
+
 /**
  * @function window.createNavigationSector
- * @description Creates an SVG sector for the radial menu
+ * @description Creates an SVG sector for the radial menu; items without an icon get a text label
+ * @param {Object} position - Sector geometry from computeSectorPosition
+ * @param {Object|string} item - Menu item from getNavigationItems (or a bare label)
+ * @param {string} fillColor - Sector fill
+ * @param {Node} fragment - Node the sector is appended to
+ * @returns {SVGGElement} The sector group
  */
-window.createNavigationSector = function(position, label, fillColor, fragment) {
+window.createNavigationSector = function(position, item, fillColor, fragment) {
+  if (typeof item === 'string') item = { id: item.toLowerCase(), label: item, icon: 'assets/images/' + item + '.svg', href: '#' + item.toLowerCase(), route: item.toLowerCase(), children: [] };
   var p1 = position.p1, p2 = position.p2, p3 = position.p3, p4 = position.p4, iconPos = position.iconPos, start = position.start, end = position.end;
+  var outerRadius = position.outerRadius || window.MENU_CONFIG.OUTER_RADIUS;
+  var innerRadius = position.innerRadius || window.MENU_CONFIG.INNER_RADIUS;
   var largeArc = end - start > 180 ? 1 : 0;
   var pathData = [
     'M', p1.x, p1.y,
-    'A', window.MENU_CONFIG.OUTER_RADIUS, window.MENU_CONFIG.OUTER_RADIUS, 0, largeArc, 0, p2.x, p2.y,
+    'A', outerRadius, outerRadius, 0, largeArc, 0, p2.x, p2.y,
     'L', p3.x, p3.y,
-    'A', window.MENU_CONFIG.INNER_RADIUS, window.MENU_CONFIG.INNER_RADIUS, 0, largeArc, 1, p4.x, p4.y,
+    'A', innerRadius, innerRadius, 0, largeArc, 1, p4.x, p4.y,
     'Z'
   ].join(' ');
 
   var path = document.createElementNS(window.MENU_SVG_NS, 'path');
   path.setAttribute('d', pathData);
-  path.setAttribute('fill', fillColor);
-  path.setAttribute('stroke', window.MENU_CONFIG.STROKE_COLOR);
+  path.style.setProperty('--sector-fill', fillColor); // Read by ui.css so :hover can still override the fill
+  path.style.stroke = window.MENU_CONFIG.STROKE_COLOR;
   path.setAttribute('stroke-width', '1');
 
+  // Drawn over the sector while it has keyboard focus (SVG groups have no reliable CSS outline)
+  var focusRing = document.createElementNS(window.MENU_SVG_NS, 'path');
+  focusRing.setAttribute('d', pathData);
+  focusRing.setAttribute('class', 'sector-focus-ring');
+  focusRing.setAttribute('aria-hidden', 'true');
+
   var group = document.createElementNS(window.MENU_SVG_NS, 'g');
-  group.setAttribute('role', 'link');
-  group.setAttribute('aria-label', 'Navigate to ' + label + ' section');
-  group.setAttribute('tabindex', '0');
-  group.dataset.label = label;
-
-  var icon = document.createElementNS(window.MENU_SVG_NS, 'image');
-  icon.setAttribute('href', 'assets/images/' + label + '.svg');
-  icon.setAttribute('x', iconPos.x - 25);
-  icon.setAttribute('y', iconPos.y - 25);
-  icon.setAttribute('width', '50');
-  icon.setAttribute('height', '50');
-  icon.setAttribute('aria-label', label + ' Icon');
-  icon.setAttribute('loading', 'lazy');
+  group.setAttribute('role', 'menuitem');
+  group.setAttribute('tabindex', '-1'); // Roving tabindex: initRadialMenu makes one sector tabbable
+  group.dataset.id = item.id;
+  group.dataset.href = item.href;
+  if (item.route !== null) group.dataset.route = item.route;
+  if (item.newTab) group.dataset.newTab = 'true';
+  if (item.transition) group.dataset.transition = item.transition;
+  group.dataset.angle = (start + end) / 2;
+  if (item.children && item.children.length) {
+    group.setAttribute('aria-haspopup', 'menu');
+    group.setAttribute('aria-expanded', 'false');
+  }
+  if (item.disabled) {
+    group.setAttribute('aria-disabled', 'true');
+    group.classList.add('disabled');
+  }
+
+  var icon;
+  if (item.icon) {
+    icon = document.createElementNS(window.MENU_SVG_NS, 'image');
+    icon.setAttribute('href', item.icon);
+    icon.setAttribute('x', iconPos.x - 25);
+    icon.setAttribute('y', iconPos.y - 25);
+    icon.setAttribute('width', '50');
+    icon.setAttribute('height', '50');
+    icon.setAttribute('loading', 'lazy');
+  } else {
+    icon = document.createElementNS(window.MENU_SVG_NS, 'text');
+    icon.setAttribute('x', iconPos.x);
+    icon.setAttribute('y', iconPos.y);
+    icon.setAttribute('class', 'sector-label');
+  }
+  icon.setAttribute('aria-hidden', 'true');
+  icon.classList.add('sector-upright'); // Counter-rotated while the wheel spins
+  icon.dataset.cx = iconPos.x;
+  icon.dataset.cy = iconPos.y;
 
   group.appendChild(path);
   group.appendChild(icon);
+
+  if (item.badge) {
+    var badgePos = window.polarToCartesian(window.MENU_CONFIG.CENTER_X, window.MENU_CONFIG.CENTER_Y, outerRadius - window.MENU_CONFIG.BADGE_OFFSET, (start + end) / 2);
+    var badgeWidth = 8 + item.badge.length * 6;
+    var badge = document.createElementNS(window.MENU_SVG_NS, 'g');
+    badge.setAttribute('class', 'sector-badge sector-upright');
+    badge.setAttribute('aria-hidden', 'true');
+    badge.dataset.cx = badgePos.x;
+    badge.dataset.cy = badgePos.y;
+    var badgeBox = document.createElementNS(window.MENU_SVG_NS, 'rect');
+    badgeBox.setAttribute('x', badgePos.x - badgeWidth / 2);
+    badgeBox.setAttribute('y', badgePos.y - 7);
+    badgeBox.setAttribute('width', badgeWidth);
+    badgeBox.setAttribute('height', '14');
+    badgeBox.setAttribute('rx', '7');
+    var badgeText = document.createElementNS(window.MENU_SVG_NS, 'text');
+    badgeText.setAttribute('x', badgePos.x);
+    badgeText.setAttribute('y', badgePos.y);
+    badgeText.textContent = item.badge;
+    badge.appendChild(badgeBox);
+    badge.appendChild(badgeText);
+    group.appendChild(badge);
+  }
+
+  group.appendChild(focusRing);
+  window.labelSector(group, item);
   fragment.appendChild(group);
+  return group;
+};
+
+/**
+ * @function window.hapticPulse
+ * @description Vibrates briefly where the Vibration API is available (phones); does nothing elsewhere
+ * @param {number} duration - Vibration in ms
+ */
+window.hapticPulse = function(duration) {
+  if (navigator.vibrate) navigator.vibrate(duration);
 };
 
 /**
@@ -108,7 +283,7 @@ window.GridParticle = function(x, y, gridOverlay) {
   this.element.setAttribute('cx', this.x);
   this.element.setAttribute('cy', this.y);
   this.element.setAttribute('r', '3');
-  this.element.setAttribute('fill', 'rgba(234, 255, 255, 0.8)');
+  this.element.style.fill = window.MENU_CONFIG.GRID_PARTICLE_FILL;
   this.element.style.opacity = '0';
   this.gridOverlay.appendChild(this.element);
   this.animate();
@@ -116,23 +291,37 @@ window.GridParticle = function(x, y, gridOverlay) {
 
 /**
  * @method animate
- * @description Toggles visibility randomly in an infinite loop
+ * @description Toggles visibility randomly in an infinite loop (holds steady under reduced motion)
  */
 window.GridParticle.prototype.animate = function() {
   var self = this;
+  if (window.prefersReducedMotion()) {
+    this.stop();
+    return;
+  }
   var toggleVisibility = function() {
     var isVisible = self.element.style.opacity === '1';
     self.element.style.opacity = isVisible ? '0' : '1';
     var delay = window.MENU_CONFIG.PARTICLE_INTERVAL_MIN + Math.random() * (window.MENU_CONFIG.PARTICLE_INTERVAL_MAX - window.MENU_CONFIG.PARTICLE_INTERVAL_MIN);
-    setTimeout(toggleVisibility, delay);
+    self.timeoutId = window.AnimationClock.setTimeout(toggleVisibility, delay);
   };
   var initialDelay = Math.random() * window.MENU_CONFIG.PARTICLE_INTERVAL_MAX;
-  setTimeout(toggleVisibility, initialDelay);
+  this.timeoutId = window.AnimationClock.setTimeout(toggleVisibility, initialDelay);
+};
+
+/**
+ * @method stop
+ * @description Ends the blinking loop and leaves the particle steadily visible
+ */
+window.GridParticle.prototype.stop = function() {
+  window.AnimationClock.clearTimeout(this.timeoutId);
+  this.timeoutId = null;
+  this.element.style.opacity = '1';
 };
 
 /**
  * @function window.initWelcomeCarousel
- * @description Initializes the welcome text carousel with smooth, sequential language cycling
+ * @description Initializes the welcome text carousel with smooth language cycling; GreetingEngine picks the order and timing
  */
 window.initWelcomeCarousel = function() {
   var welcomeText = document.getElementById('welcomeText');
@@ -142,91 +331,202 @@ window.initWelcomeCarousel = function() {
     return;
   }
 
-  welcomeText.textContent = 'Loading...';
-
-  var languages = window.MENU_CONFIG.FALLBACK_LANGUAGES;
-  var xhr = new XMLHttpRequest();
-  xhr.open('GET', 'assets/data/languages.xml', true);
-  xhr.onreadystatechange = function() {
-    if (xhr.readyState === 4) {
-      if (xhr.status === 200) {
-        var xmlDoc = xhr.responseXML;
-        var languageNodes = xmlDoc.getElementsByTagName('language');
-        if (languageNodes.length > 0) {
-          languages = Array.prototype.map.call(languageNodes, function(node) {
-            return {
-              lang: node.getAttribute('lang'),
-              text: node.getAttribute('text') || 'Welcome'
-            };
-          });
-          console.log('Using languages.xml:', languages);
-        } else {
-          console.log('languages.xml is empty, using FALLBACK_LANGUAGES:', languages);
-        }
-      } else {
-        console.log('Failed to load languages.xml, using FALLBACK_LANGUAGES:', languages);
-      }
-      startCarousel();
-    }
-  };
-  xhr.send();
+  window.setLocalizedText(welcomeText, window.t('loading'), window.currentLocale);
+
+  // Greetings come from languages.xml, or FALLBACK_LANGUAGES when it cannot be used (loadLanguages never rejects)
+  window.loadLanguages().then(function(result) {
+    // The data carries menu translations: relabel when a translated locale was set before it arrived
+    if (window.currentLocale !== window.I18N_CONFIG.DEFAULT_LOCALE) window.setLocale(window.currentLocale);
+    startCarousel(result.entries, result.order);
+  });
 
-  function startCarousel() {
-    var currentIndex = 0;
+  function startCarousel(languages, order) {
+    var engine = new window.GreetingEngine(languages, { order: order });
+    var current = engine.first();
     var isHovering = false;
+    var isMenuOpen = false; // A sub-ring is open and the panel shows its breadcrumbs instead
+    var autoplay = null; // Set by the pause control; null follows the motion policy
     var timeoutId = null;
+    var toggle = document.getElementById('welcomeToggle');
+    var nextButton = document.getElementById('welcomeNext');
+
+    // Each greeting carries its own lang and dir, and a font stack for its script; the time-of-day variant is picked on display
+    var showGreeting = function(entry) {
+      window.setLocalizedText(welcomeText, engine.textOf(entry) || window.t('welcome'), entry.code || 'und', entry.dir);
+    };
+
+    // Greetings come in through their own effect (effect="..." in languages.xml), the default one otherwise
+    var transitionToGreeting = function(entry, options) {
+      window.transitionText(welcomeText, function() { showGreeting(entry); }, Object.assign({ effect: entry.effect }, options));
+    };
+
+    // Greetings advance on the shared clock (paused with the HUD) unless the pause control stopped them (WCAG 2.2.2);
+    // while stopped (and under reduced motion) they wait for the next-greeting button, a click on the panel or play
+    var isPlaying = function() {
+      return autoplay !== null ? autoplay : !window.prefersReducedMotion();
+    };
+
+    var scheduleCycle = function(delay) {
+      window.AnimationClock.clearTimeout(timeoutId);
+      timeoutId = isPlaying() ? window.AnimationClock.setTimeout(cycleText, delay) : null;
+    };
+
+    var renderToggle = function() {
+      if (nextButton) nextButton.hidden = isPlaying();
+      if (!toggle) return;
+      toggle.dataset.state = isPlaying() ? 'playing' : 'paused';
+      toggle.setAttribute('aria-label', window.t(isPlaying() ? 'pauseGreetings' : 'playGreetings'));
+    };
 
     var cycleText = function() {
-      if (timeoutId) clearTimeout(timeoutId);
-      if (isHovering) {
-        timeoutId = setTimeout(cycleText, window.MENU_CONFIG.WELCOME_INTERVAL);
+      window.AnimationClock.clearTimeout(timeoutId);
+      if (isHovering || isMenuOpen) {
+        scheduleCycle(engine.durationOf(current));
         return;
       }
 
-      welcomeText.classList.remove('fade-in');
-      welcomeText.classList.add('fade-out');
-      setTimeout(function() {
-        currentIndex = (currentIndex + 1) % languages.length;
-        welcomeText.textContent = languages[currentIndex].text || 'Welcome';
-        welcomeText.classList.remove('fade-out');
-        welcomeText.classList.add('fade-in');
-        timeoutId = setTimeout(cycleText, window.MENU_CONFIG.WELCOME_INTERVAL);
-      }, 500);
+      current = engine.next();
+      transitionToGreeting(current);
+      window.Announcer.announce(engine.textOf(current), { category: 'greeting', lang: current.code });
+      scheduleCycle(engine.durationOf(current));
     };
 
-    welcomeText.textContent = languages[0].text || 'Welcome';
-    welcomeText.classList.add('fade-in');
-    timeoutId = setTimeout(cycleText, window.MENU_CONFIG.WELCOME_INTERVAL);
-
-    var sectors = menuWheel.querySelectorAll('g[role="link"]');
-    for (var i = 0; i < sectors.length; i++) {
-      sectors[i].addEventListener('mouseenter', function() {
-        if (timeoutId) clearTimeout(timeoutId);
-        isHovering = true;
-        welcomeText.classList.remove('fade-in');
-        welcomeText.classList.add('fade-out');
-        var sector = this;
-        setTimeout(function() {
-          var labelMatch = sector.getAttribute('aria-label').match(/Navigate to (\w+) section/);
-          welcomeText.textContent = labelMatch ? labelMatch[1] : '';
-          welcomeText.classList.remove('fade-out');
-          welcomeText.classList.add('fade-in');
-        }, 500);
+    transitionToGreeting(current);
+    scheduleCycle(engine.durationOf(current));
+    renderToggle();
+
+    if (toggle) {
+      toggle.addEventListener('click', function(event) {
+        event.stopPropagation(); // The panel itself advances the greeting on click
+        autoplay = !isPlaying();
+        renderToggle();
+        if (!isHovering) scheduleCycle(engine.durationOf(current));
       });
+    }
 
-      sectors[i].addEventListener('mouseleave', function() {
-        if (timeoutId) clearTimeout(timeoutId);
-        isHovering = false;
-        welcomeText.classList.remove('fade-in');
-        welcomeText.classList.add('fade-out');
-        setTimeout(function() {
-          welcomeText.textContent = languages[currentIndex].text || 'Welcome';
-          welcomeText.classList.remove('fade-out');
-          welcomeText.classList.add('fade-in');
-          timeoutId = setTimeout(cycleText, window.MENU_CONFIG.WELCOME_INTERVAL - 500);
-        }, 500);
+    if (nextButton) {
+      nextButton.addEventListener('click', function(event) {
+        event.stopPropagation(); // Advances once, not again through the panel
+        if (!isMenuOpen) cycleText();
       });
     }
+
+    welcomeText.parentNode.addEventListener('click', function() {
+      if (!isHovering && !isMenuOpen) cycleText();
+    });
+
+    window.addEventListener('submenuchange', function(event) {
+      isMenuOpen = event.detail.open;
+      welcomeText.hidden = isMenuOpen;
+      if (!isMenuOpen && !isHovering) scheduleCycle(engine.durationOf(current));
+    });
+
+    window.addEventListener('motionchange', function() {
+      renderToggle();
+      if (!isHovering) scheduleCycle(engine.durationOf(current));
+    });
+
+    // Hovered (mouse only), focused and freshly chosen (tapped or spun to the selector) sectors preview their label and
+    // description in place of the greeting, in that order of precedence; a choice is shown for one greeting interval.
+    // Previews run on wall-clock time so they answer the visitor while the HUD clock is paused. Hover and choice previews
+    // are announced politely; focused sectors are not, since screen readers already speak their name and description.
+    var hoveredSector = null;
+    var focusedSector = null;
+    var chosenSector = null;
+    var choiceTimeoutId = null;
+    var previewedSector = null;
+
+    var showPreview = function(sector) {
+      welcomeText.textContent = '';
+      var name = document.createElement('span');
+      name.className = 'preview-label';
+      name.textContent = sector.dataset.label;
+      welcomeText.appendChild(name);
+      if (sector.dataset.description) {
+        var description = document.createElement('span');
+        description.className = 'preview-description';
+        description.textContent = sector.dataset.description;
+        welcomeText.appendChild(description);
+      }
+      window.markLocalized(welcomeText, window.currentLocale, sector.dataset.label);
+    };
+
+    var updatePreview = function() {
+      var sector = hoveredSector || focusedSector || chosenSector;
+      if (sector === previewedSector) return;
+      window.AnimationClock.clearTimeout(timeoutId);
+      previewedSector = sector;
+      isHovering = !!sector;
+      if (sector) {
+        window.transitionText(welcomeText, function() { showPreview(sector); }, {
+          effect: sector.dataset.transition || window.MENU_CONFIG.PREVIEW_TRANSITION,
+          realtime: true
+        });
+        if (sector !== focusedSector) {
+          var description = sector.dataset.description;
+          window.Announcer.announce(sector.dataset.label + (description ? ', ' + description : ''), { category: 'preview' });
+        }
+      } else {
+        transitionToGreeting(current, { realtime: true });
+        scheduleCycle(engine.durationOf(current));
+      }
+    };
+
+    var bindSectors = function() {
+      var sectors = menuWheel.querySelectorAll(':scope > [role="menuitem"]');
+      for (var i = 0; i < sectors.length; i++) {
+        // Touch pointers also enter and leave, on press and lift; their preview comes from the tap ('menuchoice') instead
+        sectors[i].addEventListener('pointerenter', function(event) {
+          if (event.pointerType !== 'mouse') return;
+          hoveredSector = this;
+          updatePreview();
+        });
+
+        sectors[i].addEventListener('pointerleave', function(event) {
+          if (event.pointerType !== 'mouse') return;
+          hoveredSector = null;
+          updatePreview();
+        });
+
+        sectors[i].addEventListener('focus', function() {
+          focusedSector = this;
+          updatePreview();
+        });
+
+        sectors[i].addEventListener('blur', function() {
+          focusedSector = null;
+          updatePreview();
+        });
+      }
+    };
+    bindSectors();
+
+    window.addEventListener('menuchoice', function(event) {
+      chosenSector = event.detail.sector;
+      window.AnimationClock.clearTimeout(choiceTimeoutId);
+      choiceTimeoutId = window.AnimationClock.setTimeout(function() {
+        chosenSector = null;
+        updatePreview();
+      }, window.MENU_CONFIG.WELCOME_INTERVAL);
+      updatePreview();
+    });
+
+    // A rebuilt wheel has new sector elements: drop the preview of the removed ones and listen to the new ones
+    window.addEventListener('menurebuild', function() {
+      hoveredSector = null;
+      chosenSector = null;
+      focusedSector = document.activeElement && document.activeElement.parentNode === menuWheel ? document.activeElement : null;
+      updatePreview();
+      bindSectors();
+    });
+
+    // Relabelled sectors: show the preview again in the new language
+    window.addEventListener('localechange', function() {
+      renderToggle();
+      if (!previewedSector) return;
+      previewedSector = null;
+      updatePreview();
+    });
   }
 };
 
@@ -243,58 +543,454 @@ window.initRadialMenu = function() {
     return;
   }
 
-  var sectorAngle = 360 / window.MENU_CONFIG.NAVIGATION_LINKS.length;
-  var sectorPositions = window.MENU_CONFIG.NAVIGATION_LINKS.map(function(_, i) {
-    var start = 270 + i * sectorAngle;
-    var end = start + sectorAngle;
-    var labelAngle = (start + end) / 2;
-    return {
-      p1: window.polarToCartesian(window.MENU_CONFIG.CENTER_X, window.MENU_CONFIG.CENTER_Y, window.MENU_CONFIG.OUTER_RADIUS, end),
-      p2: window.polarToCartesian(window.MENU_CONFIG.CENTER_X, window.MENU_CONFIG.CENTER_Y, window.MENU_CONFIG.OUTER_RADIUS, start),
-      p3: window.polarToCartesian(window.MENU_CONFIG.CENTER_X, window.MENU_CONFIG.CENTER_Y, window.MENU_CONFIG.INNER_RADIUS, start),
-      p4: window.polarToCartesian(window.MENU_CONFIG.CENTER_X, window.MENU_CONFIG.CENTER_Y, window.MENU_CONFIG.INNER_RADIUS, end),
-      iconPos: window.polarToCartesian(window.MENU_CONFIG.CENTER_X, window.MENU_CONFIG.CENTER_Y, (window.MENU_CONFIG.INNER_RADIUS + window.MENU_CONFIG.OUTER_RADIUS) / 2, labelAngle),
-      start: start,
-      end: end
+  menuWheel.setAttribute('role', 'menu');
+  menuWheel.setAttribute('aria-label', window.t('siteSections'));
+
+  var sectors = [];
+  var itemsById = {};
+
+  // Sectors of one ring (the wheel or an open sub-ring), in clockwise order
+  function ringSectors(sector) {
+    return Array.prototype.filter.call(sector.parentNode.children, function(el) {
+      return el.getAttribute('role') === 'menuitem';
+    });
+  }
+
+  // Roving tabindex: only the last focused sector of each ring is in the tab order, the arrow keys move around the ring
+  function setActiveSector(sector) {
+    ringSectors(sector).forEach(function(other) {
+      other.setAttribute('tabindex', other === sector ? '0' : '-1');
+    });
+  }
+
+  // (Re)builds the sectors from the navigation items, below the grid and core layers; focus stays on the same item when it survives
+  function buildWheel() {
+    var focusedId = document.activeElement && menuWheel.contains(document.activeElement) ? document.activeElement.dataset.id : null;
+    collapseSubRing(false);
+    sectors.forEach(function(sector) { menuWheel.removeChild(sector); });
+
+    var items = window.getNavigationItems();
+    sectorAngle = 360 / items.length;
+    // A spinning wheel centres its first sector on the selector; a fixed one starts its first sector at the top
+    var firstStart = window.MENU_CONFIG.SPIN_ENABLED ? window.MENU_CONFIG.SELECTOR_ANGLE - sectorAngle / 2 : 270;
+    var fragment = document.createDocumentFragment();
+    itemsById = {};
+    items.forEach(function(item, i) {
+      var start = firstStart + i * sectorAngle;
+      window.createNavigationSector(window.computeSectorPosition(start, start + sectorAngle), item, window.MENU_CONFIG.SECTOR_FILL, fragment);
+      itemsById[item.id] = item;
+    });
+    menuWheel.insertBefore(fragment, menuWheel.firstChild);
+    sectors = ringSectors(menuWheel.firstChild);
+
+    var focused = focusedId && menuWheel.querySelector(':scope > [data-id="' + focusedId + '"]');
+    setActiveSector(focused || sectors[0]);
+    if (focused) focused.focus();
+    stopSpin();
+    setRotation(0);
+    chooseSector(window.MENU_CONFIG.SPIN_ENABLED ? sectors[0] : null, false);
+    console.log('Sectors appended:', items.length);
+  }
+
+  function focusSector(ring, index) {
+    ring[(index + ring.length) % ring.length].focus();
+  }
+
+  // Spin state: the wheel's rotation in degrees, its coasting velocity in degrees per ms and the snap target
+  var sectorAngle = 0;
+  var rotation = 0;
+  var velocity = 0;
+  var snapTarget = null;
+  var unregisterSpin = null;
+  var chosenSector = null;
+  var choiceAnnounced = false; // The initial choice is only highlighted; a tap has to preview it before the next confirms
+
+  // Rotates the top-level sectors about the wheel centre, keeping icons and badges upright
+  function setRotation(angle) {
+    rotation = angle;
+    sectors.forEach(function(sector) {
+      sector.setAttribute('transform', 'rotate(' + angle + ' ' + window.MENU_CONFIG.CENTER_X + ' ' + window.MENU_CONFIG.CENTER_Y + ')');
+      Array.prototype.forEach.call(sector.querySelectorAll('.sector-upright'), function(el) {
+        el.setAttribute('transform', 'rotate(' + -angle + ' ' + el.dataset.cx + ' ' + el.dataset.cy + ')');
+      });
+    });
+  }
+
+  // Index of the sector closest to the selector at a rotation
+  function sectorIndexAt(angle) {
+    var index = Math.round(-angle / sectorAngle) % sectors.length;
+    return index < 0 ? index + sectors.length : index;
+  }
+
+  // Marks the sector at the selector as the current choice and announces it with a 'menuchoice' event
+  function chooseSector(sector, announce) {
+    if (chosenSector) chosenSector.classList.remove('chosen');
+    chosenSector = sector;
+    choiceAnnounced = !!(sector && announce);
+    if (!sector) return;
+    sector.classList.add('chosen');
+    if (announce) window.dispatchEvent(new CustomEvent('menuchoice', { detail: { sector: sector, id: sector.dataset.id } }));
+  }
+
+  function stopSpin() {
+    if (unregisterSpin) unregisterSpin();
+    unregisterSpin = null;
+    velocity = 0;
+    snapTarget = null;
+  }
+
+  // Coasts with friction, then eases into the nearest snap position (all at once under reduced motion)
+  function spinTick(delta) {
+    delta = Math.min(delta, window.CLOCK_CONFIG.MAX_FRAME_DELTA);
+    var frames = delta / (1000 / 60);
+    if (snapTarget === null) {
+      rotation += velocity * delta;
+      velocity *= Math.pow(window.MENU_CONFIG.SPIN_FRICTION, frames);
+      if (Math.abs(velocity) < window.MENU_CONFIG.SPIN_SNAP_VELOCITY) snapTarget = Math.round(rotation / sectorAngle) * sectorAngle;
+    } else {
+      rotation += (snapTarget - rotation) * (1 - Math.pow(1 - window.MENU_CONFIG.SPIN_SNAP_EASING, frames));
+    }
+    if (snapTarget !== null && (window.prefersReducedMotion() || Math.abs(snapTarget - rotation) < 0.05)) {
+      var target = snapTarget;
+      stopSpin();
+      setRotation(target);
+      chooseSector(sectors[sectorIndexAt(target)], true);
+      return;
+    }
+    setRotation(rotation);
+  }
+
+  // The spin answers the visitor's drag, keys and taps, so like the previews it runs on wall-clock time and still
+  // settles (and arms its sector) while the HUD clock is paused
+  function startSpin() {
+    if (!unregisterSpin) unregisterSpin = window.realtimeScheduler.register(spinTick);
+  }
+
+  // Spins the shortest way round until a sector sits at the selector
+  function spinTo(index) {
+    var target = -index * sectorAngle;
+    target += Math.round((rotation - target) / 360) * 360;
+    stopSpin();
+    snapTarget = target;
+    if (window.prefersReducedMotion()) {
+      spinTick(0);
+    } else {
+      startSpin();
+    }
+  }
+
+  // Angle of a pointer around the wheel centre, in degrees
+  function pointerAngle(event) {
+    var rect = svgElement.getBoundingClientRect();
+    return Math.atan2(event.clientY - (rect.top + rect.height / 2), event.clientX - (rect.left + rect.width / 2)) * 180 / Math.PI;
+  }
+
+  // A press turns into a drag (spinning the wheel) once it moves past TAP_THRESHOLD and into a confirmation once it is held
+  // for LONG_PRESS_DURATION; shorter presses stay taps and reach the click handler
+  var press = null;
+  var lastPointerType = 'mouse';
+  var suppressClick = false;
+
+  menuWheel.addEventListener('pointerdown', function(event) {
+    lastPointerType = event.pointerType || 'mouse';
+    suppressClick = false;
+    if (event.button !== 0) return;
+    var sector = event.target.closest('[role="menuitem"]');
+    press = {
+      id: event.pointerId,
+      x: event.clientX,
+      y: event.clientY,
+      angle: pointerAngle(event),
+      time: performance.now(),
+      dragging: false,
+      canSpin: window.MENU_CONFIG.SPIN_ENABLED && (!sector || sector.parentNode === menuWheel), // Sub-ring sectors do not spin
+      timer: sector && lastPointerType !== 'mouse' ? setTimeout(function() { longPress(sector); }, window.MENU_CONFIG.LONG_PRESS_DURATION) : null
     };
   });
 
-  var fragment = document.createDocumentFragment();
-  sectorPositions.forEach(function(pos, i) {
-    window.createNavigationSector(pos, window.MENU_CONFIG.NAVIGATION_LINKS[i], window.MENU_CONFIG.SECTOR_FILL, fragment);
+  function longPress(sector) {
+    press.timer = null;
+    suppressClick = true;
+    window.hapticPulse(window.MENU_CONFIG.HAPTIC_CONFIRM);
+    selectSector(sector);
+  }
+
+  svgElement.addEventListener('pointermove', function(event) {
+    if (!press || event.pointerId !== press.id) return;
+    if (!press.dragging) {
+      if (Math.hypot(event.clientX - press.x, event.clientY - press.y) < window.MENU_CONFIG.TAP_THRESHOLD) return;
+      clearTimeout(press.timer);
+      press.dragging = true;
+      if (!press.canSpin) return;
+      svgElement.setPointerCapture(event.pointerId);
+      collapseSubRing(false);
+      stopSpin();
+    }
+    if (!press.canSpin) return;
+    var angle = pointerAngle(event);
+    var now = performance.now();
+    var step = ((angle - press.angle + 540) % 360) - 180;
+    var elapsed = Math.max(1, now - press.time);
+    velocity = 0.8 * (step / elapsed) + 0.2 * velocity;
+    press.angle = angle;
+    press.time = now;
+    setRotation(rotation + step);
   });
-  menuWheel.appendChild(fragment);
-  console.log('Sectors appended:', sectorPositions.length);
 
+  function endPress(event) {
+    if (!press || event.pointerId !== press.id) return;
+    clearTimeout(press.timer);
+    var spun = press.dragging && press.canSpin;
+    var idle = performance.now() - press.time;
+    if (press.dragging) suppressClick = true;
+    press = null;
+    if (!spun) return;
+    if (idle > 100 || window.prefersReducedMotion()) velocity = 0;
+    startSpin();
+  }
+  svgElement.addEventListener('pointerup', endPress);
+  svgElement.addEventListener('pointercancel', endPress);
+
+  // A long-press must not open the touch context menu
+  svgElement.addEventListener('contextmenu', function(event) {
+    if (lastPointerType !== 'mouse') event.preventDefault();
+  });
+
+  var breadcrumbs = document.getElementById('menuBreadcrumbs');
+  var subRing = null;
+  var openItem = null;
+  var armedChild = null; // Sub-ring sector previewed by a tap, confirmed by the next one
+
+  // Breadcrumbs in the welcome panel: a 'Menu' button that closes the sub-ring, the open item, then the previewed child sector
+  function renderBreadcrumbs(child) {
+    if (!breadcrumbs) return;
+    breadcrumbs.textContent = '';
+    breadcrumbs.hidden = !openItem;
+    if (!openItem) return;
+    var root = document.createElement('button');
+    root.type = 'button';
+    root.textContent = window.t('menu');
+    root.addEventListener('click', function() { collapseSubRing(true); });
+    [root, openItem.label].concat(child ? [child.dataset.label] : []).forEach(function(crumb, i, trail) {
+      var entry = document.createElement('li');
+      entry.appendChild(typeof crumb === 'string' ? document.createTextNode(crumb) : crumb);
+      if (i === trail.length - 1) entry.setAttribute('aria-current', 'location');
+      breadcrumbs.appendChild(entry);
+    });
+  }
+
+  // Opens the children of a sector as an outer ring centred on it; a second activation closes it again. The ring is the
+  // submenu aria-haspopup promises: owned by its parent sector (a menu cannot sit directly inside the wheel's menu) and
+  // named by it, so it follows relabelling
+  function expandSector(sector, viaKeyboard) {
+    var item = itemsById[sector.dataset.id];
+    var wasOpen = openItem === item;
+    collapseSubRing(wasOpen);
+    if (wasOpen) return;
+
+    openItem = item;
+    subRing = document.createElementNS(window.MENU_SVG_NS, 'g');
+    subRing.setAttribute('class', 'sub-ring');
+    subRing.setAttribute('role', 'menu');
+    subRing.id = 'subRing-' + item.id;
+    if (!sector.id) sector.id = 'menuSector-' + item.id;
+    subRing.setAttribute('aria-labelledby', sector.id);
+    var span = Math.min(360, item.children.length * window.MENU_CONFIG.SUB_SECTOR_ANGLE);
+    var childAngle = span / item.children.length;
+    var first = Number(sector.dataset.angle) + rotation - span / 2;
+    item.children.forEach(function(child, i) {
+      var start = first + i * childAngle;
+      var position = window.computeSectorPosition(start, start + childAngle, window.MENU_CONFIG.SUB_INNER_RADIUS, window.MENU_CONFIG.SUB_OUTER_RADIUS);
+      var childSector = window.createNavigationSector(position, child, window.MENU_CONFIG.SECTOR_FILL, subRing);
+      var preview = function(event) {
+        if (event.type !== 'pointerenter' || event.pointerType === 'mouse') renderBreadcrumbs(childSector);
+      };
+      var endPreview = function(event) {
+        if (event.type !== 'pointerleave' || event.pointerType === 'mouse') renderBreadcrumbs(armedChild === childSector ? childSector : null);
+      };
+      childSector.addEventListener('pointerenter', preview);
+      childSector.addEventListener('focus', preview);
+      childSector.addEventListener('pointerleave', endPreview);
+      childSector.addEventListener('blur', endPreview);
+    });
+    menuWheel.appendChild(subRing);
+    var childSectors = ringSectors(subRing.firstChild);
+    setActiveSector(childSectors[0]);
+    sector.setAttribute('aria-expanded', 'true');
+    sector.setAttribute('aria-owns', subRing.id);
+
+    var ring = subRing;
+    requestAnimationFrame(function() { ring.classList.add('expanded'); });
+    if (viaKeyboard) focusSector(childSectors, 0);
+    renderBreadcrumbs(null);
+    window.dispatchEvent(new CustomEvent('submenuchange', { detail: { item: item, open: true } }));
+  }
+
+  // Closes the open sub-ring after its collapse transition, optionally returning focus to its parent sector
+  function collapseSubRing(restoreFocus) {
+    if (!subRing) return;
+    var ring = subRing;
+    var item = openItem;
+    var parentSector = menuWheel.querySelector(':scope > [data-id="' + item.id + '"]');
+    subRing = null;
+    openItem = null;
+    armedChild = null;
+    if (parentSector) {
+      parentSector.setAttribute('aria-expanded', 'false');
+      parentSector.removeAttribute('aria-owns');
+    }
+    // The closing ring gives up its id at once, so a ring reopened for the same item before it is removed is the only
+    // one aria-owns can resolve to
+    ring.removeAttribute('id');
+    ring.setAttribute('aria-hidden', 'true');
+    ring.classList.remove('expanded');
+    setTimeout(function() {
+      if (ring.parentNode) ring.parentNode.removeChild(ring);
+    }, window.prefersReducedMotion() ? 0 : window.MENU_CONFIG.SUB_RING_DURATION);
+    if (restoreFocus && parentSector) focusSector(sectors, sectors.indexOf(parentSector));
+    renderBreadcrumbs(null);
+    window.dispatchEvent(new CustomEvent('submenuchange', { detail: { item: item, open: false } }));
+  }
+
+  // Disabled sectors do nothing and sectors with children open their sub-ring; others announce the selection with a
+  // 'menuselect' event (route, href, sector and its on-screen center), then follow their href
+  function selectSector(sector, viaKeyboard) {
+    if (sector.getAttribute('aria-disabled') === 'true') return;
+    if (sector.hasAttribute('aria-haspopup')) {
+      expandSector(sector, viaKeyboard);
+      return;
+    }
+    var href = sector.dataset.href;
+    var rect = sector.getBoundingClientRect();
+    window.dispatchEvent(new CustomEvent('menuselect', {
+      detail: { route: sector.dataset.route || null, href: href, sector: sector, x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 }
+    }));
+    if (sector.dataset.newTab) {
+      window.open(href, '_blank', 'noopener');
+    } else {
+      window.location.href = href;
+    }
+  }
+
+  // Previews a sector on a first tap: top-level sectors become the choice (spun to the selector on a spinning wheel),
+  // sub-ring sectors show in the breadcrumbs
+  function armSector(sector) {
+    window.hapticPulse(window.MENU_CONFIG.HAPTIC_PREVIEW);
+    if (sector.parentNode !== menuWheel) {
+      if (armedChild) armedChild.classList.remove('chosen');
+      armedChild = sector;
+      sector.classList.add('chosen');
+      renderBreadcrumbs(sector);
+    } else if (window.MENU_CONFIG.SPIN_ENABLED) {
+      spinTo(sectors.indexOf(sector));
+    } else {
+      chooseSector(sector, true);
+    }
+  }
+
+  // Touch and pen taps preview first and confirm on the second tap (mouse clicks confirm at once); on a spinning wheel
+  // every pointer needs the top-level sector at the selector before a tap confirms it
   menuWheel.addEventListener('click', function(event) {
-    var sector = event.target.closest('g');
-    if (sector) {
-      sector.classList.add('mouse-active');
-      var labelMatch = sector.getAttribute('aria-label').match(/Navigate to (\w+) section/);
-      if (labelMatch) {
-        window.location.href = '#' + labelMatch[1].toLowerCase();
-      }
+    if (suppressClick) {
+      suppressClick = false;
+      return;
+    }
+    var sector = event.target.closest('[role="menuitem"]');
+    if (!sector) return;
+    var isTopLevel = sector.parentNode === menuWheel;
+    var armed = isTopLevel ? sector === chosenSector && choiceAnnounced : sector === armedChild;
+    var needsPreview = lastPointerType !== 'mouse' || (window.MENU_CONFIG.SPIN_ENABLED && isTopLevel);
+    if (needsPreview && !armed) {
+      armSector(sector);
+      return;
     }
+    if (lastPointerType !== 'mouse') window.hapticPulse(window.MENU_CONFIG.HAPTIC_CONFIRM);
+    selectSector(sector);
   });
 
+  // Sectors run clockwise from the top, so Right/Down step forward and Left/Up step back; on a spinning wheel the focused
+  // sector is also spun to the selector. Escape closes the sub-ring
   menuWheel.addEventListener('keydown', function(event) {
-    var sector = event.target.closest('g');
-    if (sector && event.key === 'Enter') {
-      sector.classList.remove('mouse-active');
-      var labelMatch = sector.getAttribute('aria-label').match(/Navigate to (\w+) section/);
-      if (labelMatch) {
-        window.location.href = '#' + labelMatch[1].toLowerCase();
+    var sector = event.target.closest('[role="menuitem"]');
+    if (!sector) return;
+    var ring = ringSectors(sector);
+    var index = ring.indexOf(sector);
+    var moveTo = function(next) {
+      focusSector(ring, next);
+      if (window.MENU_CONFIG.SPIN_ENABLED && sector.parentNode === menuWheel) {
+        collapseSubRing(false);
+        spinTo((next + ring.length) % ring.length);
       }
+    };
+    switch (event.key) {
+      case 'ArrowRight':
+      case 'ArrowDown':
+        moveTo(index + 1);
+        break;
+      case 'ArrowLeft':
+      case 'ArrowUp':
+        moveTo(index - 1);
+        break;
+      case 'Home':
+        moveTo(0);
+        break;
+      case 'End':
+        moveTo(ring.length - 1);
+        break;
+      case 'Enter':
+      case ' ':
+        selectSector(sector, true);
+        break;
+      case 'Escape':
+        if (!subRing) return;
+        collapseSubRing(true);
+        break;
+      default:
+        return;
     }
+    event.preventDefault();
   });
 
-  menuWheel.addEventListener('blur', function(event) {
-    var sector = event.target.closest('g');
-    if (sector) {
-      sector.classList.remove('mouse-active');
-    }
+  menuWheel.addEventListener('focus', function(event) {
+    var sector = event.target.closest('[role="menuitem"]');
+    if (sector) setActiveSector(sector);
   }, true);
 
+  buildWheel();
+  window.addEventListener('navigationchange', function() {
+    buildWheel();
+    window.dispatchEvent(new CustomEvent('menurebuild', { detail: { sectors: sectors } }));
+  });
+
+  // A new locale relabels the sectors in place (matched by href, which does not change with the language)
+  window.addEventListener('localechange', function() {
+    var itemsByHref = {};
+    itemsById = {};
+    window.getNavigationItems().forEach(function(item) {
+      itemsById[item.id] = item;
+      [item].concat(item.children).forEach(function(entry) { itemsByHref[entry.href] = entry; });
+    });
+    Array.prototype.forEach.call(menuWheel.querySelectorAll('[role="menuitem"]'), function(sector) {
+      var item = itemsByHref[sector.dataset.href];
+      if (item) window.labelSector(sector, item);
+    });
+    menuWheel.setAttribute('aria-label', window.t('siteSections'));
+    if (openItem) {
+      openItem = itemsById[openItem.id];
+      renderBreadcrumbs(armedChild);
+    }
+  });
+
+  // The skip link moves focus onto the wheel without touching the hash (which the router would treat as a route)
+  var skipLink = document.getElementById('skipToMenu');
+  if (skipLink) {
+    skipLink.addEventListener('click', function(event) {
+      event.preventDefault();
+      var active = menuWheel.querySelector(':scope > [role="menuitem"][tabindex="0"]') || sectors[0];
+      focusSector(sectors, sectors.indexOf(active));
+    });
+  }
+
   var defsBackground = document.createElementNS(window.MENU_SVG_NS, 'defs');
   var gradient = document.createElementNS(window.MENU_SVG_NS, 'radialGradient');
   gradient.setAttribute('id', 'backgroundGradient');
@@ -306,12 +1002,12 @@ window.initRadialMenu = function() {
 
   var stop1 = document.createElementNS(window.MENU_SVG_NS, 'stop');
   stop1.setAttribute('offset', '0%');
-  stop1.setAttribute('stop-color', 'rgb(180, 220, 255)');
+  stop1.style.stopColor = window.MENU_CONFIG.GRADIENT_COLOR;
   stop1.setAttribute('stop-opacity', '0.0');
 
   var stop2 = document.createElementNS(window.MENU_SVG_NS, 'stop');
   stop2.setAttribute('offset', '80%');
-  stop2.setAttribute('stop-color', 'rgb(180, 220, 255)');
+  stop2.style.stopColor = window.MENU_CONFIG.GRADIENT_COLOR;
   stop2.setAttribute('stop-opacity', '0.08');
 
   gradient.appendChild(stop1);
@@ -327,12 +1023,12 @@ window.initRadialMenu = function() {
 
   var holoStop1 = document.createElementNS(window.MENU_SVG_NS, 'stop');
   holoStop1.setAttribute('offset', '0%');
-  holoStop1.setAttribute('stop-color', 'rgb(180, 220, 255)');
+  holoStop1.style.stopColor = window.MENU_CONFIG.GRADIENT_COLOR;
   holoStop1.setAttribute('stop-opacity', '0.1');
 
   var holoStop2 = document.createElementNS(window.MENU_SVG_NS, 'stop');
   holoStop2.setAttribute('offset', '100%');
-  holoStop2.setAttribute('stop-color', 'rgb(180, 220, 255)');
+  holoStop2.style.stopColor = window.MENU_CONFIG.GRADIENT_COLOR;
   holoStop2.setAttribute('stop-opacity', '0.2');
 
   holoCoreGradient.appendChild(holoStop1);
@@ -345,7 +1041,7 @@ window.initRadialMenu = function() {
   backgroundCircle.setAttribute('cy', window.MENU_CONFIG.CENTER_Y);
   backgroundCircle.setAttribute('r', window.MENU_CONFIG.BACKGROUND_RADIUS);
   backgroundCircle.setAttribute('fill', 'url(#backgroundGradient)');
-  backgroundCircle.setAttribute('stroke', window.MENU_CONFIG.STROKE_COLOR);
+  backgroundCircle.style.stroke = window.MENU_CONFIG.STROKE_COLOR;
   backgroundCircle.setAttribute('stroke-width', '1');
   menuWheel.parentNode.insertBefore(backgroundCircle, menuWheel);
 
@@ -362,13 +1058,14 @@ window.initRadialMenu = function() {
 
   var gridOverlay = document.createElementNS(window.MENU_SVG_NS, 'g');
   gridOverlay.setAttribute('clip-path', 'url(#innerCircleClip)');
+  gridOverlay.setAttribute('aria-hidden', 'true');
   for (var x = -window.MENU_CONFIG.INNER_RADIUS; x <= window.MENU_CONFIG.INNER_RADIUS; x += window.MENU_CONFIG.GRID_SPACING) {
     var line = document.createElementNS(window.MENU_SVG_NS, 'line');
     line.setAttribute('x1', window.MENU_CONFIG.CENTER_X + x);
     line.setAttribute('y1', window.MENU_CONFIG.CENTER_Y - window.MENU_CONFIG.INNER_RADIUS);
     line.setAttribute('x2', window.MENU_CONFIG.CENTER_X + x);
     line.setAttribute('y2', window.MENU_CONFIG.CENTER_Y + window.MENU_CONFIG.INNER_RADIUS);
-    line.setAttribute('stroke', window.MENU_CONFIG.STROKE_COLOR);
+    line.style.stroke = window.MENU_CONFIG.STROKE_COLOR;
     line.setAttribute('stroke-width', '1');
     gridOverlay.appendChild(line);
   }
@@ -378,7 +1075,7 @@ window.initRadialMenu = function() {
     line.setAttribute('y1', window.MENU_CONFIG.CENTER_Y + y);
     line.setAttribute('x2', window.MENU_CONFIG.CENTER_X + window.MENU_CONFIG.INNER_RADIUS);
     line.setAttribute('y2', window.MENU_CONFIG.CENTER_Y + y);
-    line.setAttribute('stroke', window.MENU_CONFIG.STROKE_COLOR);
+    line.style.stroke = window.MENU_CONFIG.STROKE_COLOR;
     line.setAttribute('stroke-width', '1');
     gridOverlay.appendChild(line);
   }
@@ -394,7 +1091,13 @@ window.initRadialMenu = function() {
   }
   var particleCount = window.MENU_CONFIG.PARTICLE_COUNT_MIN + Math.floor(Math.random() * (window.MENU_CONFIG.PARTICLE_COUNT_MAX - window.MENU_CONFIG.PARTICLE_COUNT_MIN));
   var selectedCenters = gridCenters.sort(function() { return Math.random() - 0.5; }).slice(0, particleCount);
-  selectedCenters.forEach(function(center) { new window.GridParticle(center.x, center.y, gridOverlay); });
+  var gridParticles = selectedCenters.map(function(center) { return new window.GridParticle(center.x, center.y, gridOverlay); });
+  window.addEventListener('motionchange', function(event) {
+    gridParticles.forEach(function(particle) {
+      particle.stop();
+      if (!event.detail.reduced) particle.animate();
+    });
+  });
 
   menuWheel.appendChild(gridOverlay);
   console.log('Grid and particles appended');
@@ -404,17 +1107,19 @@ window.initRadialMenu = function() {
   centerCircle.setAttribute('cy', window.MENU_CONFIG.CENTER_Y);
   centerCircle.setAttribute('r', window.MENU_CONFIG.INNER_CIRCLE_RADIUS);
   centerCircle.setAttribute('fill', 'none');
-  centerCircle.setAttribute('stroke', window.MENU_CONFIG.STROKE_COLOR);
+  centerCircle.style.stroke = window.MENU_CONFIG.STROKE_COLOR;
   centerCircle.setAttribute('stroke-width', '1');
+  centerCircle.setAttribute('aria-hidden', 'true');
   menuWheel.appendChild(centerCircle);
 
   var innerFilledCircle = document.createElementNS(window.MENU_SVG_NS, 'circle');
   innerFilledCircle.setAttribute('cx', window.MENU_CONFIG.CENTER_X);
   innerFilledCircle.setAttribute('cy', window.MENU_CONFIG.CENTER_Y);
   innerFilledCircle.setAttribute('r', window.MENU_CONFIG.INNER_FILLED_RADIUS);
-  innerFilledCircle.setAttribute('fill', 'rgba(180, 220, 255, 0.06)');
+  innerFilledCircle.style.fill = window.MENU_CONFIG.INNER_FILL;
   innerFilledCircle.setAttribute('stroke', 'none');
   innerFilledCircle.setAttribute('class', 'inner-filled-circle');
+  innerFilledCircle.setAttribute('aria-hidden', 'true');
   menuWheel.appendChild(innerFilledCircle);
 
   var holoCoreGroup = document.createElementNS(window.MENU_SVG_NS, 'g');
@@ -423,7 +1128,7 @@ window.initRadialMenu = function() {
   holoCore.setAttribute('cx', window.MENU_CONFIG.CENTER_X);
   holoCore.setAttribute('cy', window.MENU_CONFIG.CENTER_Y);
   holoCore.setAttribute('r', window.MENU_CONFIG.CORE_RADIUS);
-  holoCore.setAttribute('fill', 'rgba(234, 255, 255, 0.9)');
+  holoCore.style.fill = window.MENU_CONFIG.CORE_FILL;
   holoCore.setAttribute('stroke', 'none');
   holoCore.setAttribute('class', 'holo-core');
   holoCoreGroup.appendChild(holoCore);
@@ -447,5 +1152,5 @@ window.initRadialMenu = function() {
 
 document.addEventListener('DOMContentLoaded', function() {
   console.log('DOMContentLoaded: Starting radial menu initialization');
-  window.initRadialMenu();
+  window.navigationReady.then(function() { window.initRadialMenu(); });
 });
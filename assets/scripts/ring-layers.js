@@ -0,0 +1,325 @@
+/**
+ * @module RingLayers
+ * @description Declarative ring-layer engine for Shimti Multimedia’s sci-fi holographic UI.
+ * Builds and maintains every ring around the radial menu (segmented rings, solid annuli, dashed circles and tick marks) from RING_LAYERS.
+ */
+
+/** @constant {string} window.MENU_SVG_NS - SVG namespace for ring layers */
+window.MENU_SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * @constant {Array<Object>} window.RING_LAYERS - Layer descriptions, drawn bottom to top.
+ * Radii are in pixels from the radial menu center; arc and gap ranges are [min, max] in degrees;
+ * rotation period is seconds per revolution.
+ */
+window.RING_LAYERS = [
+  {
+    id: 'dotted-circle',
+    kind: 'dashed',
+    radius: 335, // 330px (outer segmented ring) + 5px spacing
+    stroke: 'rgba(var(--hud-line-rgb), 0.3)',
+    strokeWidth: 2,
+    dash: [4, 4],
+  },
+  {
+    id: 'outer-segmented-ring',
+    kind: 'segmented',
+    outerRadius: 330,
+    innerRadius: 260, // Consistent 70px thickness
+    segmentCount: 16,
+    arc: [2, 90],
+    thinArc: { chance: 0.5, max: 5 }, // 50% chance for thin arcs (2–5°)
+    gap: [5, 15],
+    fill: 'rgba(var(--hud-accent-rgb), 0.08)',
+    rotation: { direction: 'clockwise', period: 100 },
+  },
+  {
+    id: 'thick-circle',
+    kind: 'annulus',
+    outerRadius: 480,
+    innerRadius: 360,
+    fill: 'rgba(var(--hud-accent-rgb), 0.08)',
+  },
+  {
+    id: 'inner-segmented-ring',
+    kind: 'segmented',
+    outerRadius: 480,
+    innerRadius: 400,
+    segmentCount: 9,
+    arc: [30, 90],
+    gap: [1, 8],
+    fill: 'rgba(var(--hud-accent-rgb), 0.08)',
+    rotation: { direction: 'counterclockwise', period: 80 },
+  },
+  {
+    id: 'stationary-ring',
+    kind: 'annulus',
+    outerRadius: 245,
+    innerRadius: 210,
+    fill: 'rgba(var(--hud-accent-rgb), 0.08)',
+    stroke: 'var(--hud-stroke)',
+    strokeWidth: 2,
+  },
+  {
+    id: 'rotating-squares',
+    kind: 'ticks',
+    radius: 227.5, // Midway through the stationary ring
+    count: 24,
+    shape: 'square',
+    size: 8,
+    fill: 'rgba(var(--hud-accent-rgb), 0.08)',
+    spin: { direction: 'counterclockwise', period: 2 }, // Rotation of each mark around itself
+    rotation: { direction: 'clockwise', period: 60 },
+  },
+  {
+    id: 'segmented-ring',
+    kind: 'segmented',
+    outerRadius: 257.5,
+    innerRadius: 240,
+    segmentCount: 4,
+    arc: [30, 90],
+    gap: [5, 15],
+    fill: 'rgba(var(--hud-accent-rgb), 0.08)',
+    rotation: { direction: 'counterclockwise', period: 80 },
+  },
+];
+
+/**
+ * @function window.annulusPath
+ * @description Builds path data for a full ring; fill with fill-rule evenodd
+ * @param {number} cx - Center x
+ * @param {number} cy - Center y
+ * @param {number} outerRadius - Outer radius
+ * @param {number} innerRadius - Inner radius
+ * @returns {string} SVG path data
+ */
+window.annulusPath = function(cx, cy, outerRadius, innerRadius) {
+  const outerD = `M${cx + outerRadius},${cy} A${outerRadius},${outerRadius} 0 1,0 ${cx - outerRadius},${cy} A${outerRadius},${outerRadius} 0 1,0 ${cx + outerRadius},${cy}`;
+  const innerD = `M${cx + innerRadius},${cy} A${innerRadius},${innerRadius} 0 1,1 ${cx - innerRadius},${cy} A${innerRadius},${innerRadius} 0 1,1 ${cx + innerRadius},${cy}`;
+  return `${outerD} ${innerD}`;
+};
+
+/**
+ * @function window.annularSectorPath
+ * @description Builds path data for a ring segment between two angles (degrees, clockwise from 3 o'clock)
+ * @param {number} cx - Center x
+ * @param {number} cy - Center y
+ * @param {number} outerRadius - Outer radius
+ * @param {number} innerRadius - Inner radius
+ * @param {number} start - Start angle in degrees
+ * @param {number} end - End angle in degrees
+ * @returns {string} SVG path data
+ */
+window.annularSectorPath = function(cx, cy, outerRadius, innerRadius, start, end) {
+  const point = (r, angle) => ({
+    x: cx + r * Math.cos((angle * Math.PI) / 180),
+    y: cy + r * Math.sin((angle * Math.PI) / 180)
+  });
+  const largeArc = end - start > 180 ? 1 : 0;
+  const outerStart = point(outerRadius, start);
+  const outerEnd = point(outerRadius, end);
+  const innerStart = point(innerRadius, end);
+  const innerEnd = point(innerRadius, start);
+  return [
+    'M', outerStart.x, outerStart.y,
+    'A', outerRadius, outerRadius, 0, largeArc, 1, outerEnd.x, outerEnd.y,
+    'L', innerStart.x, innerStart.y,
+    'A', innerRadius, innerRadius, 0, largeArc, 0, innerEnd.x, innerEnd.y,
+    'Z'
+  ].join(' ');
+};
+
+/**
+ * @constant {Object} window.RING_LAYER_KINDS - Builders for each layer kind.
+ * build() creates the layer's elements once; update() positions them around a new center.
+ */
+window.RING_LAYER_KINDS = {
+  segmented: {
+    build(layer, group) {
+      const segments = [];
+      let currentAngle = 0;
+      while (currentAngle < 360 && segments.length < layer.segmentCount) {
+        const arcLength = layer.thinArc && Math.random() < layer.thinArc.chance
+          ? window.RingLayerEngine.randomInRange([layer.arc[0], layer.thinArc.max])
+          : window.RingLayerEngine.randomInRange(layer.arc);
+        const gapLength = window.RingLayerEngine.randomInRange(layer.gap);
+        if (currentAngle + arcLength > 360) break;
+        segments.push({ start: currentAngle, end: currentAngle + arcLength });
+        currentAngle += arcLength + gapLength;
+      }
+
+      return segments.map(segment => {
+        const path = document.createElementNS(window.MENU_SVG_NS, 'path');
+        window.RingLayerEngine.applyPaint(path, layer);
+        group.appendChild(path);
+        return { element: path, segment };
+      });
+    },
+    update(layer, parts, centerX, centerY) {
+      parts.forEach(({ element, segment }) => {
+        element.setAttribute('d', window.annularSectorPath(centerX, centerY, layer.outerRadius, layer.innerRadius, segment.start, segment.end));
+      });
+    }
+  },
+
+  annulus: {
+    build(layer, group) {
+      const path = document.createElementNS(window.MENU_SVG_NS, 'path');
+      window.RingLayerEngine.applyPaint(path, layer);
+      path.setAttribute('fill-rule', 'evenodd');
+      group.appendChild(path);
+      return [{ element: path }];
+    },
+    update(layer, parts, centerX, centerY) {
+      parts[0].element.setAttribute('d', window.annulusPath(centerX, centerY, layer.outerRadius, layer.innerRadius));
+    }
+  },
+
+  dashed: {
+    build(layer, group) {
+      const circle = document.createElementNS(window.MENU_SVG_NS, 'circle');
+      window.RingLayerEngine.applyPaint(circle, layer);
+      circle.setAttribute('r', layer.radius);
+      if (layer.dash) circle.setAttribute('stroke-dasharray', layer.dash.join(', '));
+      group.appendChild(circle);
+      return [{ element: circle }];
+    },
+    update(layer, parts, centerX, centerY) {
+      parts[0].element.setAttribute('cx', centerX);
+      parts[0].element.setAttribute('cy', centerY);
+    }
+  },
+
+  ticks: {
+    build(layer, group) {
+      const parts = [];
+      for (let i = 0; i < layer.count; i++) {
+        const angle = (i / layer.count) * 360;
+        const mark = document.createElementNS(window.MENU_SVG_NS, layer.shape === 'line' ? 'line' : 'rect');
+        window.RingLayerEngine.applyPaint(mark, layer);
+        if (layer.shape !== 'line') {
+          mark.setAttribute('width', layer.size);
+          mark.setAttribute('height', layer.size);
+        }
+        if (layer.spin) mark.style.animation = window.RingLayerEngine.rotationAnimation(layer.spin);
+        group.appendChild(mark);
+        parts.push({ element: mark, angle });
+      }
+      return parts;
+    },
+    update(layer, parts, centerX, centerY) {
+      parts.forEach(({ element, angle }) => {
+        const cos = Math.cos((angle * Math.PI) / 180);
+        const sin = Math.sin((angle * Math.PI) / 180);
+        if (layer.shape === 'line') {
+          // Radial tick from innerRadius to outerRadius
+          element.setAttribute('x1', centerX + layer.innerRadius * cos);
+          element.setAttribute('y1', centerY + layer.innerRadius * sin);
+          element.setAttribute('x2', centerX + layer.outerRadius * cos);
+          element.setAttribute('y2', centerY + layer.outerRadius * sin);
+        } else {
+          const posX = centerX + layer.radius * cos;
+          const posY = centerY + layer.radius * sin;
+          element.setAttribute('x', posX - layer.size / 2);
+          element.setAttribute('y', posY - layer.size / 2);
+          element.style.transformOrigin = `${posX}px ${posY}px`;
+        }
+      });
+    }
+  }
+};
+
+/**
+ * @namespace window.RingLayerEngine
+ * @description Builds RING_LAYERS into an SVG and repositions the built layers around the radial menu center
+ */
+window.RingLayerEngine = {
+  /** @property {Array<Object>} layers - Built layers: { layer, kind, group, parts } */
+  layers: [],
+
+  /**
+   * @method build
+   * @description Replaces the SVG contents with one group per layer description
+   * @param {SVGSVGElement} svgElement - Target SVG
+   * @param {Array<Object>} descriptions - Layer descriptions, bottom to top
+   */
+  build(svgElement, descriptions) {
+    while (svgElement.firstChild) svgElement.removeChild(svgElement.firstChild);
+    this.layers = [];
+    descriptions.forEach(layer => {
+      const kind = window.RING_LAYER_KINDS[layer.kind];
+      if (!kind) {
+        console.error('Unknown ring layer kind:', layer.kind, layer);
+        return;
+      }
+      const group = document.createElementNS(window.MENU_SVG_NS, 'g');
+      group.setAttribute('aria-hidden', 'true');
+      group.setAttribute('class', `ring-layer ${layer.id || ''}`.trim());
+      if (layer.rotation) group.style.animation = this.rotationAnimation(layer.rotation);
+      const parts = kind.build(layer, group);
+      svgElement.appendChild(group);
+      this.layers.push({ layer, kind, group, parts });
+    });
+  },
+
+  /**
+   * @method update
+   * @description Moves every built layer to a new center, updating attributes in place
+   * @param {number} centerX - Radial menu center x
+   * @param {number} centerY - Radial menu center y
+   */
+  update(centerX, centerY) {
+    this.layers.forEach(({ layer, kind, group, parts }) => {
+      kind.update(layer, parts, centerX, centerY);
+      group.style.transformOrigin = `${centerX}px ${centerY}px`;
+    });
+  },
+
+  /** @method randomInRange - Picks a uniform random value from a [min, max] range */
+  randomInRange(range) {
+    return range[0] + Math.random() * (range[1] - range[0]);
+  },
+
+  /** @method applyPaint - Copies fill and stroke settings of a layer onto an SVG element (as styles, so theme var() references resolve) */
+  applyPaint(element, layer) {
+    element.style.fill = layer.fill || 'none';
+    element.style.stroke = layer.stroke || 'none';
+    if (layer.stroke) element.setAttribute('stroke-width', layer.strokeWidth || 1);
+  },
+
+  /** @method rotationAnimation - Converts a rotation description into a CSS animation shorthand */
+  rotationAnimation(rotation) {
+    const keyframes = rotation.direction === 'counterclockwise' ? 'rotateCounterClockwise' : 'rotateClockwise';
+    return `${keyframes} ${rotation.period}s linear infinite`;
+  }
+};
+
+/**
+ * @function window.initRingLayers
+ * @description Builds every layer in RING_LAYERS into the full-screen ring SVG and keeps them centered on the radial menu
+ */
+window.initRingLayers = function() {
+  var svgElement = document.getElementById('ringLayersSvg');
+  if (!svgElement) {
+    console.error('Ring layers SVG not found');
+    return;
+  }
+
+  window.RingLayerEngine.build(svgElement, window.RING_LAYERS);
+
+  window.HudLayout.subscribe(layout => {
+    svgElement.setAttribute('viewBox', `0 0 ${layout.viewport.width} ${layout.viewport.height}`);
+    if (!layout.menu) {
+      console.error('Failed to position ring layers: Missing radialMenu element');
+      return;
+    }
+    window.RingLayerEngine.update(layout.menu.centerX, layout.menu.centerY);
+  });
+
+  console.log('Ring layers initialized:', window.RingLayerEngine.layers.length);
+};
+
+document.addEventListener('DOMContentLoaded', function() {
+  console.log('DOMContentLoaded: Starting ring layers initialization');
+  window.sceneReady.then(function() { window.initRingLayers(); });
+});
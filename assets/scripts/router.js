@@ -0,0 +1,171 @@
+/**
+ * @module Router
+ * @description Hash-based router that renders the section views reached from the radial menu for Shimti Multimedia.
+ * Handles deep links on first load, back/forward navigation, unknown hashes and the home (HUD) state.
+ */
+
+/** @constant {Object} window.ROUTER_CONFIG - Configuration for hash routing */
+window.ROUTER_CONFIG = {
+  HOME_ROUTE: 'home', // Route that shows the HUD
+  NOT_FOUND_ROUTE: '404', // Route of the view shown for unknown hashes
+  VIEW_CONTAINER_ID: 'sectionView', // Element holding the section views
+  SECTION_OPEN_CLASS: 'section-open', // Body class hiding the HUD while a section is shown
+  TITLE_SUFFIX: ' - Shimti Multimedia',
+};
+
+/**
+ * @function window.routeFromHash
+ * @description Normalizes a location hash into a route name ('' and '#' map to the home route)
+ * @param {string} hash - Location hash, with or without the leading '#'
+ * @returns {string} Lower-case route name
+ */
+window.routeFromHash = function(hash) {
+  var route = (hash || '').replace(/^#\/?/, '');
+  try {
+    route = decodeURIComponent(route);
+  } catch (error) {
+    // Malformed escapes are matched verbatim and end up on the 404 view
+  }
+  route = route.trim().toLowerCase();
+  return route || window.ROUTER_CONFIG.HOME_ROUTE;
+};
+
+/**
+ * @function window.getRoutes
+ * @description Maps each navigation item with an internal href, including sub-ring children, to its route and display label
+ * @returns {Array<{route: string, label: string}>} Known section routes
+ */
+window.getRoutes = function() {
+  var routes = [];
+  window.getNavigationItems().forEach(function(item) {
+    [item].concat(item.children).forEach(function(entry) {
+      if (entry.route && entry.route !== window.ROUTER_CONFIG.HOME_ROUTE) routes.push({ route: entry.route, label: entry.label });
+    });
+  });
+  return routes;
+};
+
+/**
+ * @function window.navigateTo
+ * @description Navigates to a route through the location hash so history entries are kept
+ * @param {string} route - Route name, e.g. 'contact' or the home route
+ */
+window.navigateTo = function(route) {
+  var hash = '#' + route;
+  if (window.location.hash === hash) return;
+  window.location.hash = hash;
+};
+
+/**
+ * @function window.initRouter
+ * @description Builds a view for every navigation link, then renders the current hash and every hash change
+ */
+window.initRouter = function() {
+  var container = document.getElementById(window.ROUTER_CONFIG.VIEW_CONTAINER_ID);
+  if (!container) {
+    console.error('Section view container not found');
+    return;
+  }
+
+  var homeTitle = document.title;
+  var currentRoute = null;
+
+  // Sections authored in index.html are reused; links without one get a placeholder view
+  var views = {};
+  function buildViews() {
+    views = {};
+    Array.prototype.forEach.call(container.querySelectorAll('section[data-route]'), function(view) { view.hidden = true; });
+    window.getRoutes().forEach(function(entry) {
+      views[entry.route] = findOrCreateView(entry.route, entry.label);
+    });
+  }
+  buildViews();
+  var notFoundView = findOrCreateView(window.ROUTER_CONFIG.NOT_FOUND_ROUTE, 'Signal Lost');
+
+  function findOrCreateView(route, label) {
+    var view = container.querySelector('section[data-route="' + route + '"]');
+    if (!view) {
+      view = document.createElement('section');
+      view.className = 'section-panel';
+      view.dataset.route = route;
+      var heading = document.createElement('h1');
+      heading.textContent = label;
+      view.appendChild(heading);
+      container.insertBefore(view, container.querySelector('.section-home'));
+    }
+    var title = view.querySelector('h1, h2');
+    if (title) {
+      if (!title.id) title.id = 'section-' + route.replace(/\//g, '-') + '-title';
+      title.setAttribute('tabindex', '-1');
+      view.setAttribute('aria-labelledby', title.id);
+    }
+    view.hidden = true;
+    return view;
+  }
+
+  function render() {
+    var route = window.routeFromHash(window.location.hash);
+    if (route === currentRoute) return;
+    var previousRoute = currentRoute;
+    currentRoute = route;
+
+    var isHome = route === window.ROUTER_CONFIG.HOME_ROUTE;
+    var view = isHome ? null : views[route] || notFoundView;
+
+    Object.keys(views).forEach(function(key) {
+      views[key].hidden = views[key] !== view;
+    });
+    notFoundView.hidden = notFoundView !== view;
+
+    if (view === notFoundView) {
+      var pathSlot = notFoundView.querySelector('[data-route-path]');
+      if (pathSlot) pathSlot.textContent = '#' + route;
+    }
+
+    container.hidden = isHome;
+    document.body.classList.toggle(window.ROUTER_CONFIG.SECTION_OPEN_CLASS, !isHome);
+
+    if (isHome) {
+      document.title = homeTitle;
+      // Return focus to the sector that opened the section, or to its parent when the sub-ring has closed since
+      var sector = previousRoute && views[previousRoute] &&
+        (document.querySelector('#wheelMenu [data-route="' + previousRoute + '"]') ||
+          document.querySelector('#wheelMenu [data-route="' + previousRoute.split('/')[0] + '"]'));
+      if (sector) {
+        sector.focus();
+      } else if (container.contains(document.activeElement)) {
+        document.activeElement.blur();
+      }
+    } else {
+      var title = view.querySelector('[tabindex="-1"]');
+      document.title = (title ? title.textContent : route) + window.ROUTER_CONFIG.TITLE_SUFFIX;
+      if (title) title.focus();
+    }
+
+    window.dispatchEvent(new CustomEvent('routechange', {
+      detail: { route: route, previousRoute: previousRoute, view: view, notFound: view === notFoundView }
+    }));
+  }
+
+  container.addEventListener('keydown', function(event) {
+    if (event.key === 'Escape') {
+      window.navigateTo(window.ROUTER_CONFIG.HOME_ROUTE);
+    }
+  });
+
+  // New navigation items get their views; the current hash is rendered again since it may have become (un)known
+  window.addEventListener('navigationchange', function() {
+    buildViews();
+    currentRoute = null;
+    render();
+  });
+
+  window.addEventListener('hashchange', render);
+  render();
+  console.log('Router initialized:', window.routeFromHash(window.location.hash));
+};
+
+document.addEventListener('DOMContentLoaded', function() {
+  console.log('DOMContentLoaded: Starting router initialization');
+  window.navigationReady.then(function() { window.initRouter(); });
+});
@@ -0,0 +1,479 @@
+/**
+ * @module SceneLoader
+ * @description Loads the scene manifest that describes the look of Shimti Multimedia's HUD (layers, radii, colours, speeds,
+ * particle counts and menu items). Validates it against SCENE_SCHEMA and merges it over the built-in module configs,
+ * falling back to those defaults when the manifest is missing or invalid.
+ */
+
+/** @constant {Object} window.SCENE_CONFIG - Configuration for scene manifest loading */
+window.SCENE_CONFIG = {
+  MANIFEST_URL: 'assets/data/scene.json', // Default manifest (.json or .xml)
+  VARIANT_PARAM: 'scene', // ?scene=<name> loads assets/data/scenes/<name>.json (or <name>.xml)
+  VARIANT_DIR: 'assets/data/scenes/',
+};
+
+/**
+ * @constant {Object} window.SCENE_SECTIONS - Maps manifest sections to the global config each one is merged into.
+ * Object sections are merged key by key; array sections replace the default list.
+ */
+window.SCENE_SECTIONS = {
+  menu: 'MENU_CONFIG',
+  particles: 'PARTICLE_CONFIG',
+  links: 'PARTICLE_LINK_CONFIG',
+  grid: 'GRID_CONFIG',
+  camera: 'CAMERA_CONFIG',
+  connections: 'CONNECTION_CONFIG',
+  layers: 'RING_LAYERS',
+  fps: 'TARGET_FPS',
+};
+
+/** @constant {Object} window.SCENE_SCHEMA - Schema the manifest is validated against */
+window.SCENE_SCHEMA = (function() {
+  const number = { type: 'number' };
+  const positive = { type: 'number', min: 0 };
+  const string = { type: 'string' };
+  const range = { type: 'array', items: number, minItems: 2, maxItems: 2 };
+  // Ring layers: fields each kind's builder in ring-layers.js reads, and radii that enclose a ring
+  const ringLayerProblem = layer => {
+    const ring = ['innerRadius', 'outerRadius'];
+    const needed = {
+      segmented: ['segmentCount', 'arc', 'gap'].concat(ring),
+      annulus: ring,
+      dashed: ['radius'],
+      ticks: ['count'].concat(layer.shape === 'line' ? ring : ['radius', 'size'])
+    }[layer.kind];
+    const missing = needed.filter(key => layer[key] === undefined);
+    if (missing.length) return `${layer.kind} layer missing required ${missing.join(', ')}`;
+    if (needed.indexOf('innerRadius') !== -1 && layer.innerRadius >= layer.outerRadius) return 'innerRadius must be less than outerRadius';
+    return null;
+  };
+  // Connection lines: anchors as described in connection-rings.js
+  const anchorName = { type: 'string', enum: ['center', 'top', 'right', 'bottom', 'left', 'top-left', 'top-right', 'bottom-left', 'bottom-right'] };
+  const anchor = {
+    oneOf: [anchorName, {
+      type: 'object',
+      properties: { edge: anchorName, x: number, y: number, angle: number, radius: positive, dx: number, dy: number }
+    }]
+  };
+  const connector = {
+    type: 'object',
+    required: ['from', 'fromAnchor', 'to', 'toAnchor'],
+    properties: {
+      from: string,
+      fromAnchor: anchor,
+      to: string,
+      toAnchor: anchor,
+      route: string,
+      style: { type: 'object', properties: { stroke: string, width: positive, pointStroke: string, pointRadius: positive } }
+    }
+  };
+  // Menu links: a bare label, or an entry as described in navigation-loader.js
+  const navigationFields = {
+    id: { type: 'string', pattern: /^[\w-]+$/ },
+    label: string,
+    icon: string,
+    href: { type: 'string', pattern: /^(#|https?:\/\/|mailto:)/ },
+    route: string,
+    newTab: { type: 'boolean' },
+    description: string,
+    disabled: { type: 'boolean' },
+    badge: string,
+    transition: string
+  };
+  const navigationChild = { oneOf: [string, { type: 'object', required: ['label'], properties: navigationFields }] };
+  const navigationLink = {
+    oneOf: [
+      string,
+      {
+        type: 'object',
+        required: ['label'],
+        properties: Object.assign({ children: { type: 'array', items: navigationChild, minItems: 1 } }, navigationFields)
+      }
+    ]
+  };
+  // Greeting entries, shared with languages.xml / languages.json (see i18n.js)
+  const time = { type: 'string', pattern: /^([01]?\d|2[0-3]):[0-5]\d$/ };
+  const languageEntry = {
+    type: 'object',
+    required: ['text'],
+    properties: {
+      code: { type: 'string', pattern: /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i }, // BCP-47
+      name: string,
+      lang: string, // Older name field, kept for existing scenes
+      text: string,
+      dir: { type: 'string', enum: ['ltr', 'rtl'] },
+      once: { type: 'boolean' }, // Greeting engine options (see greeting-engine.js)
+      exclude: { type: 'boolean' },
+      weight: { type: 'number', min: 0 },
+      duration: { type: 'number', min: 1000 },
+      effect: string, // Text transition name (see text-transitions.js)
+      variants: { type: 'array', items: { type: 'object', required: ['from', 'to', 'text'], properties: { from: time, to: time, text: string } } },
+      labels: { type: 'object', values: string }, // Menu item labels by navigation item id
+      descriptions: { type: 'object', values: string }, // Menu item descriptions by navigation item id
+      strings: { type: 'object', values: string } // UI strings by key (see TRANSLATIONS)
+    }
+  };
+  const rotation = {
+    type: 'object',
+    properties: {
+      direction: { type: 'string', enum: ['clockwise', 'counterclockwise'] },
+      period: { type: 'number', min: 0.1 }
+    }
+  };
+
+  return {
+    type: 'object',
+    properties: {
+      version: number,
+      name: string,
+      fps: { type: 'number', min: 1, max: 120 },
+      theme: string, // Theme used until the visitor picks one (see theme-manager.js)
+      themes: { type: 'object', values: { type: 'object', values: string } }, // Extra palettes by name
+      menu: {
+        type: 'object',
+        properties: {
+          OUTER_RADIUS: positive,
+          INNER_RADIUS: positive,
+          GRID_SPACING: { type: 'number', min: 4 },
+          PARTICLE_COUNT_MIN: positive,
+          PARTICLE_COUNT_MAX: positive,
+          SECTOR_FILL: string,
+          STROKE_COLOR: string,
+          GRADIENT_COLOR: string,
+          INNER_FILL: string,
+          CORE_FILL: string,
+          GRID_PARTICLE_FILL: string,
+          INNER_CIRCLE_RADIUS: positive,
+          INNER_FILLED_RADIUS: positive,
+          CORE_RADIUS: positive,
+          RING_RADII: { type: 'array', items: positive },
+          NAVIGATION_LINKS: { type: 'array', items: navigationLink, minItems: 1 },
+          WELCOME_INTERVAL: { type: 'number', min: 1000 },
+          PARTICLE_INTERVAL_MIN: positive,
+          PARTICLE_INTERVAL_MAX: positive,
+          BACKGROUND_RADIUS: positive,
+          FALLBACK_LANGUAGES: {
+            type: 'array',
+            minItems: 1,
+            items: languageEntry
+          }
+        }
+      },
+      particles: {
+        type: 'object',
+        properties: {
+          MAX_PARTICLES: { type: 'number', min: 0, max: 500 },
+          SPEED_MULTIPLIER: positive,
+          TURN_PROBABILITY: { type: 'number', min: 0, max: 1 },
+          STROKE_COLOR: { type: 'string', pattern: /\{alpha\}/ },
+          SHADOW_COLOR: string,
+          FILL_COLOR: { type: 'string', pattern: /\{depth\}/ },
+          INTERACTION_MODE: { type: 'string', enum: ['attract', 'repel', 'none'] },
+          POINTER_RADIUS: positive,
+          POINTER_STRENGTH: positive,
+          OBSTACLE_MARGIN: positive,
+          OBSTACLE_STRENGTH: positive,
+          SHOCKWAVE_SPEED: { type: 'number', min: 0.1 },
+          SHOCKWAVE_WIDTH: { type: 'number', min: 1 },
+          SHOCKWAVE_STRENGTH: positive,
+          SHOCKWAVE_MAX_RADIUS: { type: 'number', min: 1 },
+          PUSH_DAMPING: { type: 'number', min: 0, max: 0.99 },
+          TRAIL_ALPHA_STEPS: { type: 'number', min: 1, max: 32 },
+          MOVEMENT_MODE: { type: 'string', enum: ['free', 'circuit'] },
+          CIRCUIT_TURN_PROBABILITY: { type: 'number', min: 0, max: 1 },
+          CIRCUIT_TARGET_BIAS: { type: 'number', min: 0, max: 1 },
+          CIRCUIT_ROUTE_TO_MENU: { type: 'boolean' },
+          CIRCUIT_GLOW_FRAMES: { type: 'number', min: 1 },
+          CIRCUIT_GLOW_ALPHA: { type: 'number', min: 0, max: 1 },
+          CIRCUIT_GLOW_COLOR: { type: 'string', pattern: /\{alpha\}/ }
+        }
+      },
+      links: {
+        type: 'object',
+        properties: {
+          ENABLED: { type: 'boolean' },
+          MAX_DISTANCE: { type: 'number', min: 10, max: 400 },
+          MAX_ALPHA: { type: 'number', min: 0, max: 1 },
+          MAX_LINKS: positive,
+          LINE_WIDTH: positive,
+          ALPHA_STEPS: { type: 'number', min: 1, max: 32 },
+          COLOR: { type: 'string', pattern: /\{alpha\}/ }
+        }
+      },
+      grid: {
+        type: 'object',
+        properties: {
+          GRID_SPACING: { type: 'number', min: 8 },
+          GRID_STROKE: string,
+          HIGHLIGHT_STROKE: { type: 'string', pattern: /\{alpha\}/ },
+          SPOTLIGHT_RADIUS: positive,
+          SPOTLIGHT_ALPHA: { type: 'number', min: 0, max: 1 },
+          RIPPLE_SPEED: { type: 'number', min: 1 },
+          RIPPLE_WIDTH: { type: 'number', min: 1 },
+          RIPPLE_ALPHA: { type: 'number', min: 0, max: 1 },
+          RIPPLE_MAX_RADIUS: { type: 'number', min: 1 },
+          PULSE_PERIOD: { type: 'number', min: 100 },
+          PULSE_DEPTH: { type: 'number', min: 0, max: 1 }
+        }
+      },
+      camera: {
+        type: 'object',
+        properties: {
+          ENABLED: { type: 'boolean' },
+          GRID_MODE: { type: 'string', enum: ['floor', 'tunnel'] },
+          HORIZON: { type: 'number', min: 0, max: 0.9 },
+          DEPTH: { type: 'number', min: 1.5, max: 50 },
+          GRID_ALPHA: { type: 'number', min: 0, max: 1 },
+          PARALLAX: { type: 'number', min: 0, max: 200 },
+          EASING: { type: 'number', min: 0.001, max: 1 },
+          TILT_RANGE: { type: 'number', min: 1, max: 90 },
+          IDLE_DELAY: positive,
+          IDLE_AMPLITUDE: { type: 'number', min: 0, max: 1 },
+          IDLE_PERIOD: { type: 'number', min: 1000 },
+          IDLE_LOOPS: { type: 'number', min: 0 },
+          FPS: { type: 'number', min: 1, max: 60 },
+          REDRAW_STEP: positive
+        }
+      },
+      connections: {
+        type: 'object',
+        properties: {
+          LINE_STROKE: string,
+          LINE_WIDTH: positive,
+          POINT_STROKE: string,
+          POINT_RADIUS: positive,
+          ROUTE: string,
+          CONNECTORS: { type: 'array', items: connector }
+        }
+      },
+      layers: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['kind'],
+          check: ringLayerProblem,
+          properties: {
+            id: string,
+            kind: { type: 'string', enum: ['segmented', 'annulus', 'dashed', 'ticks'] },
+            radius: positive,
+            outerRadius: positive,
+            innerRadius: positive,
+            segmentCount: { type: 'number', min: 1 },
+            arc: range,
+            gap: range,
+            thinArc: { type: 'object', properties: { chance: { type: 'number', min: 0, max: 1 }, max: positive } },
+            count: { type: 'number', min: 1 },
+            shape: { type: 'string', enum: ['square', 'line'] },
+            size: positive,
+            fill: string,
+            stroke: string,
+            strokeWidth: positive,
+            dash: { type: 'array', items: positive },
+            rotation: rotation,
+            spin: rotation
+          }
+        }
+      }
+    }
+  };
+})();
+
+/**
+ * @function window.validateScene
+ * @description Validates a value against a SCENE_SCHEMA node, dropping invalid parts
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema node
+ * @param {string} path - Path used in error messages
+ * @param {Array<string>} errors - Collects one message per problem
+ * @returns {*} The valid part of the value, or undefined when nothing is valid
+ */
+window.validateScene = function(value, schema, path, errors) {
+  const fail = message => {
+    errors.push(`${path}: ${message}`);
+    return undefined;
+  };
+
+  // Alternatives are picked by the type of the value, e.g. a menu link given as a label or as an object
+  if (schema.oneOf) {
+    const typeOf = Array.isArray(value) ? 'array' : typeof value;
+    const option = schema.oneOf.find(candidate => candidate.type === typeOf);
+    if (!option) return fail(`expected a ${schema.oneOf.map(candidate => candidate.type).join(' or ')}`);
+    return window.validateScene(value, option, path, errors);
+  }
+
+  if (schema.type === 'array') {
+    if (!Array.isArray(value)) return fail('expected a list');
+    const items = value
+      .map((item, i) => window.validateScene(item, schema.items, `${path}[${i}]`, errors))
+      .filter(item => item !== undefined);
+    if (schema.minItems !== undefined && items.length < schema.minItems) return fail(`expected at least ${schema.minItems} valid entries`);
+    if (schema.maxItems !== undefined && items.length > schema.maxItems) return fail(`expected at most ${schema.maxItems} entries`);
+    return items;
+  }
+
+  if (schema.type === 'object') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return fail('expected an object');
+    const result = {};
+    Object.keys(value).forEach(key => {
+      // Maps (schema.values) accept any key; records (schema.properties) only the listed ones
+      const propertySchema = schema.values || schema.properties[key];
+      if (!propertySchema) {
+        errors.push(`${path}.${key}: unknown property, ignored`);
+        return;
+      }
+      const valid = window.validateScene(value[key], propertySchema, `${path}.${key}`, errors);
+      if (valid !== undefined) result[key] = valid;
+    });
+    const missing = (schema.required || []).filter(key => result[key] === undefined);
+    if (missing.length) return fail(`missing required ${missing.join(', ')}`);
+    // Rules spanning several properties (schema.check returns a message for an invalid object)
+    const problem = schema.check && schema.check(result);
+    if (problem) return fail(problem);
+    return result;
+  }
+
+  if (typeof value !== schema.type || (schema.type === 'number' && !isFinite(value))) return fail(`expected a ${schema.type}`);
+  if (schema.enum && schema.enum.indexOf(value) === -1) return fail(`expected one of ${schema.enum.join(', ')}`);
+  if (schema.min !== undefined && value < schema.min) return fail(`must be at least ${schema.min}`);
+  if (schema.max !== undefined && value > schema.max) return fail(`must be at most ${schema.max}`);
+  if (schema.pattern && !schema.pattern.test(value)) return fail(`must match ${schema.pattern}`);
+  return value;
+};
+
+/**
+ * @function window.sceneFromXml
+ * @description Converts an XML scene document into the JSON manifest shape, guided by the schema.
+ * Attributes become properties (numbers, booleans and lists are coerced from text), child elements become nested objects, list entries
+ * or, for maps, entries keyed by their name attribute.
+ * @param {Element} element - XML element
+ * @param {Object} schema - Schema node for the element
+ * @returns {*} Manifest value
+ */
+window.sceneFromXml = function(element, schema) {
+  const coerce = (text, node) => {
+    if (!node) return text;
+    if (node.type === 'number') return Number(text);
+    if (node.type === 'boolean') return text === 'true' ? true : text === 'false' ? false : text;
+    if (node.type === 'array') return text.split(/[\s,]+/).filter(Boolean).map(part => coerce(part, node.items));
+    return text;
+  };
+
+  // Elements with attributes or child elements take the object alternative, bare text the other one
+  if (schema.oneOf) {
+    const isObject = element.attributes.length > 0 || element.children.length > 0;
+    const option = schema.oneOf.find(candidate => (candidate.type === 'object') === isObject) || schema.oneOf[0];
+    return window.sceneFromXml(element, option);
+  }
+
+  if (schema.type === 'array') {
+    return Array.prototype.map.call(element.children, child => window.sceneFromXml(child, schema.items));
+  }
+
+  if (schema.type === 'object') {
+    const result = {};
+    Array.prototype.forEach.call(element.attributes, attribute => {
+      result[attribute.name] = coerce(attribute.value, schema.values || schema.properties[attribute.name]);
+    });
+    Array.prototype.forEach.call(element.children, child => {
+      if (schema.values) {
+        // Map entries are keyed by their name attribute, e.g. <theme name="neon" hud-accent-rgb="0, 255, 200" />
+        const entry = window.sceneFromXml(child, schema.values);
+        if (entry && typeof entry === 'object') delete entry.name;
+        result[child.getAttribute('name') || child.tagName] = entry;
+        return;
+      }
+      result[child.tagName] = window.sceneFromXml(child, schema.properties[child.tagName] || { type: 'string' });
+    });
+    return result;
+  }
+
+  return coerce(element.textContent.trim(), schema);
+};
+
+/**
+ * @function window.applyScene
+ * @description Validates a manifest and merges it over the built-in configs
+ * @param {Object} manifest - Parsed scene manifest
+ * @returns {Array<string>} Validation problems (invalid parts are skipped, the rest is applied)
+ */
+window.applyScene = function(manifest) {
+  const errors = [];
+  const scene = window.validateScene(manifest, window.SCENE_SCHEMA, 'scene', errors) || {};
+
+  Object.keys(window.SCENE_SECTIONS).forEach(section => {
+    if (scene[section] === undefined) return;
+    const globalName = window.SCENE_SECTIONS[section];
+    const current = window[globalName];
+    if (current && typeof current === 'object' && !Array.isArray(current)) {
+      Object.assign(current, scene[section]);
+    } else {
+      window[globalName] = scene[section];
+    }
+  });
+
+  window.SCENE = scene;
+  return errors;
+};
+
+/**
+ * @function window.fetchManifest
+ * @description Fetches a JSON or XML manifest (chosen by the URL's extension); XML is converted with sceneFromXml
+ * @param {string} url - Manifest URL ending in .json or .xml
+ * @param {Object} schema - Schema guiding the XML conversion
+ * @returns {Promise<*>} Resolves with the parsed manifest, rejects on HTTP or parse errors and timeouts (see fetchText)
+ */
+window.fetchManifest = function(url, schema) {
+  return window.fetchText(url)
+    .then(({ text }) => {
+      if (!/\.xml$/.test(url)) return JSON.parse(text);
+      const xmlDoc = new DOMParser().parseFromString(text, 'application/xml');
+      if (xmlDoc.getElementsByTagName('parsererror').length) throw new Error('XML parse error');
+      return window.sceneFromXml(xmlDoc.documentElement, schema);
+    });
+};
+
+/**
+ * @function window.loadScene
+ * @description Fetches the scene manifest (the ?scene= variant when given), applies it once the DOM is parsed and every
+ * module has defined its defaults, and resolves when the HUD can be built
+ * @returns {Promise<Object>} Resolves with the applied scene ({} when the defaults are used)
+ */
+window.loadScene = function() {
+  const variant = new URLSearchParams(window.location.search).get(window.SCENE_CONFIG.VARIANT_PARAM);
+  let url = window.SCENE_CONFIG.MANIFEST_URL;
+  if (variant) {
+    if (/^[\w-]+(\.(json|xml))?$/.test(variant)) {
+      url = window.SCENE_CONFIG.VARIANT_DIR + variant + (/\.(json|xml)$/.test(variant) ? '' : '.json');
+    } else {
+      console.error('Invalid scene variant name, using default manifest:', variant);
+    }
+  }
+
+  const manifest = window.fetchManifest(url, window.SCENE_SCHEMA)
+    .catch(error => {
+      console.log(`Failed to load ${url}, using built-in scene defaults:`, error.message);
+      return null;
+    });
+
+  const domReady = new Promise(resolve => {
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', resolve);
+    } else {
+      resolve();
+    }
+  });
+
+  return Promise.all([manifest, domReady]).then(([data]) => {
+    if (!data) {
+      window.SCENE = {};
+      return window.SCENE;
+    }
+    const errors = window.applyScene(data);
+    if (errors.length) console.warn(`Scene ${url} has problems; affected values keep their defaults:`, errors);
+    console.log('Using scene:', url, window.SCENE);
+    return window.SCENE;
+  });
+};
+
+/** @constant {Promise<Object>} window.sceneReady - Resolves once the scene is applied; HUD modules initialize after it */
+window.sceneReady = window.loadScene();
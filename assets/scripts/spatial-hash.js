@@ -0,0 +1,71 @@
+/**
+ * @module SpatialHash
+ * @description Uniform grid index for Shimti Multimedia's particle effects.
+ * Buckets points into square cells so neighbour lookups only visit nearby cells instead of every point.
+ * Loaded by the page and by the particle worker.
+ */
+
+/**
+ * @class SpatialHash
+ * @description Uniform spatial hash grid of items by position.
+ */
+window.SpatialHash = class {
+  /**
+   * @param {number} cellSize - Cell edge in pixels; queries are cheapest when it matches the usual query radius
+   */
+  constructor(cellSize) {
+    this.cellSize = cellSize;
+    this.cells = new Map();
+  }
+
+  /**
+   * @method key - Packs cell coordinates into one number (cells wrap every 65536 along each axis)
+   * @param {number} cellX - Cell column
+   * @param {number} cellY - Cell row
+   * @returns {number} Cell key
+   */
+  key(cellX, cellY) {
+    return ((cellX & 0xffff) << 16) | (cellY & 0xffff);
+  }
+
+  /** @method clear - Removes every item, keeping the cell size */
+  clear() {
+    this.cells.clear();
+  }
+
+  /**
+   * @method insert - Adds an item at a position
+   * @param {*} item - Item to store
+   * @param {number} x - Position in pixels
+   * @param {number} y - Position in pixels
+   */
+  insert(item, x, y) {
+    const key = this.key(Math.floor(x / this.cellSize), Math.floor(y / this.cellSize));
+    const cell = this.cells.get(key);
+    if (cell) {
+      cell.push(item);
+    } else {
+      this.cells.set(key, [item]);
+    }
+  }
+
+  /**
+   * @method query - Visits every item in the cells overlapping a circle (callers check the exact distance)
+   * @param {number} x - Circle center in pixels
+   * @param {number} y - Circle center in pixels
+   * @param {number} radius - Circle radius in pixels
+   * @param {function(*): void} callback - Called once per candidate item
+   */
+  query(x, y, radius, callback) {
+    const minX = Math.floor((x - radius) / this.cellSize);
+    const maxX = Math.floor((x + radius) / this.cellSize);
+    const minY = Math.floor((y - radius) / this.cellSize);
+    const maxY = Math.floor((y + radius) / this.cellSize);
+    for (let cellX = minX; cellX <= maxX; cellX++) {
+      for (let cellY = minY; cellY <= maxY; cellY++) {
+        const cell = this.cells.get(this.key(cellX, cellY));
+        if (cell) cell.forEach(callback);
+      }
+    }
+  }
+};
@@ -0,0 +1,291 @@
+/**
+ * @module TextTransitions
+ * @description Pluggable text transitions for Shimti Multimedia's welcome panel.
+ * transitionText() swaps an element's content through a named effect (fade, decode, typewriter, glitch, none) and
+ * cancels the transition still running on that element. Effects work on grapheme clusters of the element's text nodes,
+ * so combining marks and non-Latin scripts stay intact; decode scrambles with glyphs of the text's own script.
+ * New effects are added with registerTextTransition().
+ */
+
+/** @constant {Object} window.TEXT_TRANSITION_CONFIG - Configuration for text transitions */
+window.TEXT_TRANSITION_CONFIG = {
+  DEFAULT_EFFECT: 'fade', // Effect used when none is named
+  FADE_DURATION: 500, // Fade-out time in ms before the new text fades in (matches the #welcomeText opacity transition)
+  DECODE_DURATION: 900, // Time in ms for the scrambled glyphs to resolve, left to right in reading order
+  DECODE_FPS: 30, // Scramble refresh rate
+  TYPE_INTERVAL: 55, // Ms per typed grapheme
+  TYPE_MAX_DURATION: 1500, // Long texts type faster so they finish within this time
+  GLITCH_DURATION: 600, // Length of the RGB-split glitch; the text swaps halfway through
+  // Scramble glyphs by script group (see I18N_CONFIG.SCRIPTS); other groups use latn
+  SCRAMBLE_GLYPHS: {
+    latn: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789#%&@$<>/\\',
+    cyrl: 'АБВГДЕЖЗИЙКЛМНОПРСТУФХЦЧШЩЭЮЯ',
+    arab: 'ابتثجحخدذرزسشصضطظعغفقكلمنهوي',
+    hebr: 'אבגדהוזחטיכלמנסעפצקרשת',
+    cjk: '電脳信号回路解析転送記録接続表示光波',
+    indic: 'कखगघचछजझटठडढणतथदधनपफबभमयरलवशसह',
+    sea: 'กขคงจฉชซญดตถทนบปผพฟมยรลวสหอฮ',
+    ethi: 'ሀለሐመሠረሰቀበተኀነአከወዐዘየደገጠጰጸፀፈፐ',
+  },
+};
+
+/**
+ * @typedef {Object} TextTransitionContext
+ * @property {Object} scheduler - AnimationClock, or a real-time stand-in with the same setTimeout/clearTimeout/register
+ * @property {function(): void} done - Call once the transition has finished
+ */
+
+/**
+ * @callback TextTransitionEffect
+ * @param {HTMLElement} element - Element whose content changes
+ * @param {function(): void} update - Puts the new content (and its lang/dir) in place; call it exactly once
+ * @param {TextTransitionContext} context - Scheduler and completion callback
+ * @returns {function(): void} Cancels the effect, leaving whatever content is in place fully resolved
+ */
+
+/**
+ * @constant {Object} window.realtimeScheduler - AnimationClock-compatible scheduler on wall-clock time, for transitions
+ * answering the visitor (menu previews) that should not wait while the HUD clock is paused
+ */
+window.realtimeScheduler = {
+  setTimeout: (callback, delay) => window.setTimeout(callback, delay),
+  clearTimeout: id => window.clearTimeout(id),
+  register(tick, options) {
+    const interval = options && options.fps ? 1000 / options.fps : 0;
+    let last = null;
+    let elapsed = 0;
+    let frameId = requestAnimationFrame(function frame(now) {
+      const delta = last === null ? 0 : now - last;
+      last = now;
+      elapsed += delta;
+      if (elapsed >= interval) {
+        tick(elapsed, now);
+        elapsed = interval ? elapsed % interval : 0;
+      }
+      if (frameId !== null) frameId = requestAnimationFrame(frame);
+    });
+    return () => {
+      cancelAnimationFrame(frameId);
+      frameId = null;
+    };
+  },
+};
+
+/**
+ * @function window.splitGraphemes
+ * @description Splits text into user-perceived characters (base letter plus combining marks)
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Grapheme clusters
+ */
+window.splitGraphemes = function(text) {
+  if (window.Intl && Intl.Segmenter) {
+    return Array.from(new Intl.Segmenter(undefined, { granularity: 'grapheme' }).segment(text), part => part.segment);
+  }
+  return Array.from(text);
+};
+
+/**
+ * @function window.collectTextTargets
+ * @description Records the final text of every non-empty text node under an element, split into graphemes
+ * @param {HTMLElement} element - Element whose content is in place
+ * @returns {{targets: Array<{node: Text, text: string, graphemes: Array<string>}>, length: number}} Text nodes and grapheme total
+ */
+window.collectTextTargets = function(element) {
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+  const targets = [];
+  let length = 0;
+  while (walker.nextNode()) {
+    const text = walker.currentNode.nodeValue;
+    if (!text.trim()) continue;
+    const graphemes = window.splitGraphemes(text);
+    targets.push({ node: walker.currentNode, text, graphemes });
+    length += graphemes.length;
+  }
+  return { targets, length };
+};
+
+/**
+ * @function window.renderTextTargets
+ * @description Rewrites the recorded text nodes, letting a callback decide each grapheme by its position across all nodes
+ * @param {Array<Object>} targets - From collectTextTargets
+ * @param {function(string, number): string} glyphAt - Receives a grapheme and its overall index, returns what to show
+ */
+window.renderTextTargets = function(targets, glyphAt) {
+  let index = 0;
+  targets.forEach(target => {
+    target.node.nodeValue = target.graphemes.map(grapheme => glyphAt(grapheme, index++)).join('');
+  });
+};
+
+/**
+ * @function window.revealText
+ * @description Shows an element that a cancelled fade may have left faded out
+ * @param {HTMLElement} element - Transitioning element
+ */
+window.revealText = function(element) {
+  element.classList.remove('fade-out');
+  element.classList.add('fade-in');
+};
+
+/** @constant {Object<string, TextTransitionEffect>} window.TEXT_TRANSITIONS - Registered effects by name */
+window.TEXT_TRANSITIONS = {
+  none(element, update, context) {
+    update();
+    window.revealText(element);
+    context.done();
+    return () => {};
+  },
+
+  fade(element, update, context) {
+    element.classList.remove('fade-in');
+    element.classList.add('fade-out');
+    const timeoutId = context.scheduler.setTimeout(() => {
+      update();
+      window.revealText(element);
+      context.done();
+    }, window.TEXT_TRANSITION_CONFIG.FADE_DURATION);
+    return () => context.scheduler.clearTimeout(timeoutId);
+  },
+
+  // Every grapheme cycles through random glyphs of the text's script, then settles in reading order
+  decode(element, update, context) {
+    update();
+    window.revealText(element);
+    const { targets, length } = window.collectTextTargets(element);
+    const glyphs = window.splitGraphemes(
+      window.TEXT_TRANSITION_CONFIG.SCRAMBLE_GLYPHS[window.scriptGroup(element.textContent)] || window.TEXT_TRANSITION_CONFIG.SCRAMBLE_GLYPHS.latn
+    );
+    const duration = window.TEXT_TRANSITION_CONFIG.DECODE_DURATION;
+    let elapsed = 0;
+
+    const render = () => {
+      const resolved = Math.floor(length * elapsed / duration);
+      window.renderTextTargets(targets, (grapheme, index) => (
+        index < resolved || !grapheme.trim() ? grapheme : glyphs[Math.floor(Math.random() * glyphs.length)]
+      ));
+    };
+    const finish = () => {
+      unregister();
+      targets.forEach(target => { target.node.nodeValue = target.text; });
+    };
+    const unregister = context.scheduler.register(delta => {
+      elapsed += delta;
+      if (elapsed < duration) {
+        render();
+        return;
+      }
+      finish();
+      context.done();
+    }, { fps: window.TEXT_TRANSITION_CONFIG.DECODE_FPS });
+    render();
+    return finish;
+  },
+
+  // Graphemes appear one at a time behind a block cursor (the text-typing class, styled in ui.css)
+  typewriter(element, update, context) {
+    update();
+    window.revealText(element);
+    const { targets, length } = window.collectTextTargets(element);
+    const interval = Math.min(window.TEXT_TRANSITION_CONFIG.TYPE_INTERVAL, window.TEXT_TRANSITION_CONFIG.TYPE_MAX_DURATION / Math.max(1, length));
+    let elapsed = 0;
+
+    element.classList.add('text-typing');
+    window.renderTextTargets(targets, () => '');
+    const finish = () => {
+      unregister();
+      element.classList.remove('text-typing');
+      targets.forEach(target => { target.node.nodeValue = target.text; });
+    };
+    const unregister = context.scheduler.register(delta => {
+      elapsed += delta;
+      const typed = Math.floor(elapsed / interval);
+      if (typed < length) {
+        window.renderTextTargets(targets, (grapheme, index) => (index < typed ? grapheme : ''));
+        return;
+      }
+      finish();
+      context.done();
+    });
+    return finish;
+  },
+
+  // RGB-split jitter (the text-glitch class, styled in ui.css) with the content swapped at its peak
+  glitch(element, update, context) {
+    const half = window.TEXT_TRANSITION_CONFIG.GLITCH_DURATION / 2;
+    let timeoutId = null;
+
+    window.revealText(element);
+    element.classList.add('text-glitch');
+    const finish = () => {
+      context.scheduler.clearTimeout(timeoutId);
+      element.classList.remove('text-glitch');
+    };
+    timeoutId = context.scheduler.setTimeout(() => {
+      update();
+      timeoutId = context.scheduler.setTimeout(() => {
+        finish();
+        context.done();
+      }, half);
+    }, half);
+    return finish;
+  },
+};
+
+/**
+ * @function window.registerTextTransition
+ * @description Adds or replaces a named text transition
+ * @param {string} name - Effect name used in languages.xml (effect="...") and the navigation manifest (transition)
+ * @param {TextTransitionEffect} effect - Effect implementation
+ */
+window.registerTextTransition = function(name, effect) {
+  if (typeof effect !== 'function') {
+    console.error('Invalid text transition:', name);
+    return;
+  }
+  window.TEXT_TRANSITIONS[name] = effect;
+};
+
+/** @type {WeakMap<Element, function(): void>} Cancel functions of the transitions still running, by element */
+window.runningTextTransitions = new WeakMap();
+
+/**
+ * @function window.transitionText
+ * @description Changes an element's content through a text transition, cancelling the one still running on it.
+ * Under reduced motion every effect but 'none' becomes a plain fade.
+ * @param {HTMLElement} element - Element to update
+ * @param {function(): void} update - Puts the new content in place
+ * @param {Object} [options]
+ * @param {string} [options.effect] - Effect name (TEXT_TRANSITION_CONFIG.DEFAULT_EFFECT when omitted or unknown)
+ * @param {boolean} [options.realtime] - Run on wall-clock time instead of the HUD animation clock
+ * @param {function(): void} [options.onDone] - Called when the transition finishes (not when it is cancelled)
+ * @returns {function(): void} Cancels the transition
+ */
+window.transitionText = function(element, update, options = {}) {
+  const previous = window.runningTextTransitions.get(element);
+  if (previous) previous();
+
+  let name = options.effect || window.TEXT_TRANSITION_CONFIG.DEFAULT_EFFECT;
+  if (!window.TEXT_TRANSITIONS[name]) {
+    console.warn('Unknown text transition, using the default:', name);
+    name = window.TEXT_TRANSITION_CONFIG.DEFAULT_EFFECT;
+  }
+  if (name !== 'none' && window.prefersReducedMotion()) name = 'fade';
+
+  let stop = null;
+  const cancel = () => {
+    if (window.runningTextTransitions.get(element) === cancel) window.runningTextTransitions.delete(element);
+    if (stop) stop();
+  };
+  window.runningTextTransitions.set(element, cancel);
+
+  stop = window.TEXT_TRANSITIONS[name](element, update, {
+    scheduler: options.realtime ? window.realtimeScheduler : window.AnimationClock,
+    done: () => {
+      if (window.runningTextTransitions.get(element) !== cancel) return;
+      window.runningTextTransitions.delete(element);
+      stop = null;
+      if (options.onDone) options.onDone();
+    },
+  });
+  return cancel;
+};
@@ -0,0 +1,146 @@
+/**
+ * @module ThemeManager
+ * @description Runtime theme registry for Shimti Multimedia's HUD.
+ * A theme is a palette of CSS custom properties set on the document root. SVG and CSS colours reference them with var(),
+ * so they recolour live; canvas modules resolve the same references with resolveThemeColor() on 'themechange'.
+ */
+
+/** @constant {Object} window.THEME_CONFIG - Configuration for theme selection */
+window.THEME_CONFIG = {
+  DEFAULT_THEME: 'hologram',
+  STORAGE_KEY: 'shimti-theme', // localStorage key remembering the chosen theme
+};
+
+/**
+ * @constant {Object<string, Object<string, string>>} window.THEMES - Named palettes.
+ * RGB entries are bare "r, g, b" triplets so colours can add their own alpha: rgba(var(--hud-accent-rgb), 0.08).
+ */
+window.THEMES = {
+  hologram: {
+    '--hud-background': '#000',
+    '--hud-accent-rgb': '180, 220, 255', // Panels, sectors, rings and trails
+    '--hud-core-rgb': '234, 255, 255', // Particles and the holo core
+    '--hud-line-rgb': '255, 255, 255', // Connection lines and dotted circle
+    '--hud-grid-rgb': '100, 150, 255', // Background grid
+    '--hud-stroke': '#fff', // Panel borders and menu outlines
+    '--hud-glow': '#8cf', // Particle shadow and focus outline
+    '--text-color': '#eaffff',
+  },
+  amber: {
+    '--hud-background': '#0a0600',
+    '--hud-accent-rgb': '255, 176, 0',
+    '--hud-core-rgb': '255, 220, 140',
+    '--hud-line-rgb': '255, 200, 120',
+    '--hud-grid-rgb': '255, 140, 0',
+    '--hud-stroke': '#ffb000',
+    '--hud-glow': '#ff9900',
+    '--text-color': '#ffd580',
+  },
+  light: {
+    '--hud-background': '#f4f7fb',
+    '--hud-accent-rgb': '40, 90, 160',
+    '--hud-core-rgb': '30, 60, 120',
+    '--hud-line-rgb': '20, 40, 80',
+    '--hud-grid-rgb': '60, 90, 140',
+    '--hud-stroke': '#1c2a40',
+    '--hud-glow': '#3b6fb6',
+    '--text-color': '#0d1b2e',
+  },
+  'high-contrast': {
+    '--hud-background': '#000',
+    '--hud-accent-rgb': '255, 255, 255',
+    '--hud-core-rgb': '255, 255, 0',
+    '--hud-line-rgb': '255, 255, 255',
+    '--hud-grid-rgb': '255, 255, 255',
+    '--hud-stroke': '#fff',
+    '--hud-glow': '#ffff00',
+    '--text-color': '#fff',
+  },
+};
+
+/** @type {string|null} Name of the applied theme */
+window.currentTheme = null;
+
+/**
+ * @function window.registerTheme
+ * @description Adds or replaces a named palette
+ * @param {string} name - Theme name
+ * @param {Object<string, string>} palette - CSS custom properties (the leading '--' may be omitted, as XML attributes cannot
+ * start with it); missing entries fall back to the default theme
+ */
+window.registerTheme = function(name, palette) {
+  const properties = {};
+  Object.keys(palette).forEach(key => {
+    properties[key.indexOf('--') === 0 ? key : `--${key}`] = palette[key];
+  });
+  window.THEMES[name] = Object.assign({}, window.THEMES[window.THEME_CONFIG.DEFAULT_THEME], properties);
+};
+
+/**
+ * @function window.resolveThemeColor
+ * @description Replaces var(--name) references in a colour with values from the current palette, for canvas drawing
+ * @param {string} color - Colour that may contain var() references
+ * @returns {string} Colour usable by CanvasRenderingContext2D
+ */
+window.resolveThemeColor = function(color) {
+  const palette = window.THEMES[window.currentTheme] || window.THEMES[window.THEME_CONFIG.DEFAULT_THEME];
+  return String(color).replace(/var\((--[\w-]+)\)/g, (match, name) => {
+    if (palette[name] !== undefined) return palette[name];
+    return getComputedStyle(document.documentElement).getPropertyValue(name).trim() || match;
+  });
+};
+
+/**
+ * @function window.setTheme
+ * @description Applies a palette to the document root, remembers it and notifies canvas modules
+ * @param {string} name - Registered theme name
+ * @param {Object} [options] - { persist: false } applies without storing the choice
+ * @returns {boolean} Whether the theme exists and was applied
+ */
+window.setTheme = function(name, options) {
+  const palette = window.THEMES[name];
+  if (!palette) {
+    console.error('Unknown theme:', name, Object.keys(window.THEMES));
+    return false;
+  }
+
+  const root = document.documentElement;
+  Object.keys(palette).forEach(property => root.style.setProperty(property, palette[property]));
+  root.dataset.theme = name;
+  window.currentTheme = name;
+
+  if (!options || options.persist !== false) {
+    try {
+      localStorage.setItem(window.THEME_CONFIG.STORAGE_KEY, name);
+    } catch (error) {
+      // Storage can be unavailable (private mode, disabled cookies); the theme still applies
+    }
+  }
+
+  window.dispatchEvent(new CustomEvent('themechange', { detail: { name, palette } }));
+  return true;
+};
+
+/**
+ * @function window.getStoredTheme
+ * @description Reads the remembered theme name, if it is still registered
+ * @returns {string|null} Theme name
+ */
+window.getStoredTheme = function() {
+  try {
+    const name = localStorage.getItem(window.THEME_CONFIG.STORAGE_KEY);
+    return name && window.THEMES[name] ? name : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Apply the remembered (or default) palette straight away so the first paint uses it
+window.setTheme(window.getStoredTheme() || window.THEME_CONFIG.DEFAULT_THEME, { persist: false });
+
+// A scene can register palettes and choose the theme used when the visitor has not picked one
+window.sceneReady.then(scene => {
+  Object.keys(scene.themes || {}).forEach(name => window.registerTheme(name, scene.themes[name]));
+  const initial = window.getStoredTheme() || (scene.theme && window.THEMES[scene.theme] ? scene.theme : null);
+  if (initial && initial !== window.currentTheme) window.setTheme(initial, { persist: false });
+});